@@ -0,0 +1,38 @@
+/**
+ * Raised when a job is called with input that fails its check rules. It carries every
+ * failed rule, not just the first, so the caller can fix them all at once.
+ */
+class CheckFailedError extends Error {
+  /**
+   * @param {string} job - Job name
+   * @param {Object[]} failures - { field, error } of each failed rule, in declaration order
+   */
+  constructor(job, failures) {
+    super(`check_failed: job ${job}: ${failures.map(failure => failure.error).join('; ')}`);
+    this.name = 'CheckFailedError';
+    this.code = 'check_failed';
+    this.job = job;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Runs a job's check rules against its input.
+ * @param {string} job - Job name
+ * @param {Object[]} rules - { field, needed, error } from the job's check: fields
+ * @param {Function} read - (field) => value of a field of the input, undefined or null when missing
+ * @throws {CheckFailedError} If any rule fails
+ */
+function runChecks(job, rules, read) {
+  const failures = rules
+    .filter(rule => {
+      const value = read(rule.field);
+      return rule.needed && (value === undefined || value === null);
+    })
+    .map(rule => ({ field: rule.field, error: rule.error }));
+  if (failures.length > 0) {
+    throw new CheckFailedError(job, failures);
+  }
+}
+
+module.exports = { CheckFailedError, runChecks };
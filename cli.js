@@ -6,6 +6,7 @@ const readline = require('readline');
 const { Tokenizer } = require('./tokenizer');
 const Parser = require('./parser');
 const Interpreter = require('./interpreter');
+const { createStorage } = require('./storage');
 const { version } = require('./package.json');
 
 // CLI Configuration
@@ -19,6 +20,10 @@ class CLI {
     this.args = process.argv.slice(2);
     this.options = {
       file: null,
+      root: null,
+      principal: null,
+      store: 'memory',
+      wait: false,
       repl: false,
       ast: false,
       debug: false,
@@ -35,6 +40,20 @@ class CLI {
         case '--file':
           this.options.file = this.args[++i];
           break;
+        case '--root':
+          this.options.root = this.args[++i];
+          break;
+        case '--as':
+          this.options.principal = this.args[++i];
+          break;
+        case '-s':
+        case '--store':
+          this.options.store = this.args[++i];
+          break;
+        case '-w':
+        case '--wait':
+          this.options.wait = true;
+          break;
         case '-r':
         case '--repl':
           this.options.repl = true;
@@ -95,6 +114,10 @@ Usage: ${CLI_NAME} [options] [file]
 Options:
   -f, --file <path>    Run a .lov file
   -r, --repl           Start interactive REPL mode
+      --root <dir>     Project root for bring (default: the file's directory)
+      --as <name>      Run as the given principal, enforcing allow permissions
+  -s, --store <spec>   State backend: memory (default), json:<file> or sqlite:<file>
+  -w, --wait           Keep running until no scheduled job is left
   -a, --ast            Output the Abstract Syntax Tree (AST)
   -d, --debug          Enable debug mode with verbose output
   -h, --help           Show this help message
@@ -106,6 +129,7 @@ Examples:
   ${CLI_NAME} -r                   Start REPL
   ${CLI_NAME} -a -f program.lov    Show AST for program.lov
   ${CLI_NAME} -d -f program.lov    Run with debug output
+  ${CLI_NAME} -s json:state.json program.lov   Keep stored state in state.json
 `);
   }
 
@@ -127,7 +151,18 @@ Examples:
         console.log(`[DEBUG] Input:\n${input}\n`);
       }
 
-      await this.processInput(input, filePath);
+      const interpreter = new Interpreter({
+        root: this.options.root || path.dirname(path.resolve(filePath)),
+        principal: this.options.principal,
+        storage: createStorage(this.options.store),
+      });
+      await this.processInput(input, filePath, interpreter);
+      if (this.options.wait) {
+        // Job timers do not hold the process open, so hold it until the schedule is done
+        const keepAlive = setInterval(() => {}, 1 << 30);
+        await interpreter.scheduler.idle();
+        clearInterval(keepAlive);
+      }
     } catch (err) {
       console.error(`Error reading file ${filePath}: ${err.message}`);
       process.exit(1);
@@ -143,7 +178,12 @@ Examples:
       prompt: PROMPT,
     });
 
-    const interpreter = new Interpreter();
+    const interpreter = new Interpreter({
+      root: this.options.root,
+      principal: this.options.principal,
+      storage: createStorage(this.options.store),
+    });
+    const operators = new Map();
     let buffer = '';
 
     rl.on('line', async (line) => {
@@ -190,10 +230,11 @@ Enter .lov code to evaluate. Use multi-line input with {{{ and }}} for blocks.
       if (line === '{{{' || line === '}}}') {
         if (line === '}}}' && buffer.match(/{{{/g)?.length === buffer.match(/}}}/g)?.length) {
           try {
-            await this.processInput(buffer, 'REPL');
+            await this.processInput(buffer.replace(/^(\{\{\{|\}\}\})$/gm, ''), 'REPL', interpreter, operators);
             buffer = '';
           } catch (err) {
             console.error(`Error: ${err.message}`);
+            buffer = '';
           }
         }
         rl.prompt();
@@ -203,7 +244,7 @@ Enter .lov code to evaluate. Use multi-line input with {{{ and }}} for blocks.
       // Try to process single-line input if not in a block
       if (!buffer.includes('{{{')) {
         try {
-          await this.processInput(buffer, 'REPL');
+          await this.processInput(buffer, 'REPL', interpreter, operators);
           buffer = '';
         } catch (err) {
           if (!err.message.includes('Unexpected end of input')) {
@@ -214,7 +255,7 @@ Enter .lov code to evaluate. Use multi-line input with {{{ and }}} for blocks.
       }
 
       rl.prompt();
-    }));
+    });
 
     rl.on('close', () => {
       console.log('Goodbye!');
@@ -224,7 +265,7 @@ Enter .lov code to evaluate. Use multi-line input with {{{ and }}} for blocks.
     rl.prompt();
   }
 
-  async processInput(input, source) {
+  async processInput(input, source, interpreter = new Interpreter(), operators = new Map()) {
     const startTime = this.options.debug ? performance.now() : null;
 
     // Tokenization
@@ -241,7 +282,7 @@ Enter .lov code to evaluate. Use multi-line input with {{{ and }}} for blocks.
     if (this.options.debug) {
       console.log(`[DEBUG] Parsing tokens`);
     }
-    const parser = new Parser(tokens);
+    const parser = new Parser(tokens, operators);
     const ast = parser.parseProgram();
     if (this.options.ast) {
       console.log('[AST Output]');
@@ -252,8 +293,7 @@ Enter .lov code to evaluate. Use multi-line input with {{{ and }}} for blocks.
     if (this.options.debug) {
       console.log(`[DEBUG] Interpreting AST`);
     }
-    const interpreter = new Interpreter();
-    const result = await interpreter.interpret(ast);
+    const result = await interpreter.interpret(ast, source === 'REPL' ? null : source);
     if (result !== null && result !== undefined) {
       console.log(result);
     }
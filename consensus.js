@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { verifyBallot } = require('./seal');
+
+const CHOICES = ['yes', 'no', 'abstain'];
+
+/**
+ * Checks an amount against a threshold: either a plain count, or a percentage of a total.
+ * @param {number} amount - Amount reached
+ * @param {number} total - What a percentage is taken of
+ * @param {Object} threshold - { value, percent }
+ * @returns {boolean} Whether the amount meets the threshold
+ */
+function meetsThreshold(amount, total, { value, percent }) {
+  return percent ? total > 0 && amount * 100 >= value * total : amount >= value;
+}
+
+/**
+ * A question put to a fixed list of voters. Every ballot is signed by its voter, each
+ * voter votes once, and the proposal is decided as soon as the ballots still to come can
+ * no longer change the outcome, or at its deadline. Its pass handler runs exactly once.
+ */
+class Proposal {
+  /**
+   * @param {string} name - Proposal name, also used for its storage key
+   * @param {Object} options
+   * @param {string[]} options.voters - Who may vote
+   * @param {Object} options.threshold - { value, percent }: weight of yes votes needed, as a
+   *   count or as a percentage of the yes and no weight (abstentions do not count)
+   * @param {Object|null} [options.quorum] - { value, percent }: ballots, abstentions included,
+   *   needed for any decision, as a count or as a percentage of the voters
+   * @param {number|null} [options.deadline] - Time in milliseconds after which no ballot is taken
+   * @param {number} options.openedAt - Time in milliseconds
+   * @param {Function} [options.weightOf] - (voter) => weight of the voter's ballot
+   * @param {Function} [options.isEligible] - (voter) => whether the voter may vote now
+   * @param {Function} options.keyOf - (voter) => key pair or public key ballots must be signed with
+   * @param {Function} [options.onDecide] - async (status) => void, called once the proposal is decided
+   * @param {Object|null} [options.storage] - Storage backend to persist ballots and the decision through
+   * @throws {Error} If a threshold or the voter list is invalid
+   */
+  constructor(name, { voters, threshold, quorum = null, deadline = null, openedAt, weightOf = () => 1,
+    isEligible = () => true, keyOf, onDecide = async () => {}, storage = null }) {
+    if (voters.length === 0 || new Set(voters).size !== voters.length) {
+      throw new Error(`Proposal ${name} needs a list of distinct voters`);
+    }
+    for (const [label, limit] of [['threshold', threshold], ['quorum', quorum]]) {
+      if (limit && (!(limit.value > 0) || (limit.percent && limit.value > 100))) {
+        throw new Error(`Proposal ${name} ${label} must be a positive count or a percentage up to 100, got ${limit.value}`);
+      }
+    }
+    this.type = 'Proposal';
+    this.name = name;
+    this.voters = voters;
+    this.threshold = threshold;
+    this.quorum = quorum;
+    this.deadline = deadline;
+    this.openedAt = openedAt;
+    this.weightOf = weightOf;
+    this.isEligible = isEligible;
+    this.keyOf = keyOf;
+    this.onDecide = onDecide;
+    this.storage = storage;
+    this.key = `consensus:${name}`;
+    this.id = crypto.randomBytes(16).toString('hex'); // What ballots sign, so they cannot be replayed elsewhere
+    this.status = 'open';
+    this.ballots = new Map(); // Ballots by voter: { voter, choice, weight, at, signature }
+    this.executed = false;
+    this.decidedAt = null;
+  }
+
+  /**
+   * Restores the proposal as it was when the program last ran, if it is persisted.
+   */
+  async load() {
+    const state = this.storage ? await this.storage.get(this.key) : null;
+    if (state) {
+      this.id = state.id;
+      this.openedAt = state.openedAt;
+      this.deadline = state.deadline;
+      this.status = state.status;
+      this.ballots = new Map(state.ballots.map(ballot => [ballot.voter, ballot]));
+      this.executed = state.executed;
+      this.decidedAt = state.decidedAt;
+    }
+  }
+
+  async save() {
+    if (this.storage) {
+      const { id, openedAt, deadline, status, executed, decidedAt } = this;
+      await this.storage.set(this.key, { id, openedAt, deadline, status, ballots: [...this.ballots.values()], executed, decidedAt });
+    }
+  }
+
+  /**
+   * Takes a ballot. Call settle afterwards to decide the proposal if the ballot settled it.
+   * @param {string} voter - Voter
+   * @param {string} choice - yes, no or abstain
+   * @param {string} signature - Voter's signature over the ballot, see signBallot
+   * @param {number} now - Time in milliseconds
+   * @returns {Promise<Object>} The recorded ballot
+   * @throws {Error} If the proposal is closed, the voter may not vote or has voted, or the signature is wrong
+   */
+  async cast(voter, choice, signature, now) {
+    if (this.status !== 'open') {
+      throw new Error(`Proposal ${this.name} is already ${this.status}`);
+    }
+    if (this.deadline !== null && now >= this.deadline) {
+      throw new Error(`Proposal ${this.name} closed at ${new Date(this.deadline).toISOString()}`);
+    }
+    if (!this.voters.includes(voter)) {
+      throw new Error(`${voter} is not a voter on ${this.name}`);
+    }
+    if (this.ballots.has(voter)) {
+      throw new Error(`${voter} has already voted on ${this.name}`);
+    }
+    if (!CHOICES.includes(choice)) {
+      throw new Error(`Invalid vote ${choice}; expected ${CHOICES.join(', ')}`);
+    }
+    if (!this.isEligible(voter)) {
+      throw new Error(`${voter} is not eligible to vote on ${this.name}`);
+    }
+    if (!verifyBallot(this.name, this.id, this.keyOf(voter), choice, signature)) {
+      throw new Error(`Ballot of ${voter} on ${this.name} is not signed by ${voter}`);
+    }
+    const ballot = { voter, choice, weight: this.weightOf(voter), at: new Date(now).toISOString(), signature };
+    this.ballots.set(voter, ballot);
+    await this.save();
+    return { ...ballot };
+  }
+
+  /**
+   * Sums the ballots so far.
+   * @returns {Object} { yes, no, abstain } by weight, and ballots, the number cast
+   */
+  tally() {
+    const totals = { yes: 0, no: 0, abstain: 0, ballots: this.ballots.size };
+    for (const ballot of this.ballots.values()) {
+      totals[ballot.choice] += ballot.weight;
+    }
+    return totals;
+  }
+
+  passes(yes, no, ballots) {
+    const quorumMet = !this.quorum || meetsThreshold(ballots, this.voters.length, this.quorum);
+    return quorumMet && meetsThreshold(yes, yes + no, this.threshold);
+  }
+
+  /**
+   * Works out the outcome. Before the deadline it is only settled when it would hold
+   * however the voters still to vote cast their ballots.
+   * @param {boolean} final - Whether no more ballots will come
+   * @returns {string|null} passed, rejected, or null while still open
+   */
+  outcome(final) {
+    const { yes, no, ballots } = this.tally();
+    if (final) {
+      return this.passes(yes, no, ballots) ? 'passed' : 'rejected';
+    }
+    const remaining = this.voters.filter(voter => !this.ballots.has(voter) && this.isEligible(voter));
+    const pending = remaining.reduce((total, voter) => total + this.weightOf(voter), 0);
+    // Passed even if everyone left votes no; rejected even if everyone left votes yes
+    if (this.passes(yes, no + pending, ballots)) {
+      return 'passed';
+    }
+    if (!this.passes(yes + pending, no, ballots + remaining.length)) {
+      return 'rejected';
+    }
+    return null;
+  }
+
+  /**
+   * Decides the proposal if its outcome is settled, running the decision handler once.
+   * @param {boolean} final - Whether no more ballots will come, as at the deadline
+   * @param {number} now - Time in milliseconds
+   */
+  async settle(final, now) {
+    if (this.status !== 'open') {
+      return;
+    }
+    const status = this.outcome(final);
+    if (status === null) {
+      return;
+    }
+    this.status = status;
+    this.decidedAt = new Date(now).toISOString();
+    // Claimed before running, so a crash while running can never run it a second time
+    this.executed = status === 'passed';
+    await this.save();
+    await this.onDecide(status);
+  }
+
+  /**
+   * Describes the proposal.
+   * @returns {Object} { name, id, status, voters, threshold, quorum, deadline, yes, no, abstain, ballots, executed }
+   */
+  describe() {
+    return {
+      name: this.name,
+      id: this.id,
+      status: this.status,
+      voters: [...this.voters],
+      threshold: this.threshold,
+      quorum: this.quorum,
+      deadline: this.deadline !== null ? new Date(this.deadline) : null,
+      ...this.tally(),
+      ballots: [...this.ballots.values()].map(ballot => ({ ...ballot })),
+      executed: this.executed,
+      decidedAt: this.decidedAt !== null ? new Date(this.decidedAt) : null
+    };
+  }
+}
+
+module.exports = { Proposal, meetsThreshold, CHOICES };
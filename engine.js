@@ -3,6 +3,7 @@ const axios = require('axios');
 const WebSocket = require('ws');
 const CryptoJS = require('crypto-js');
 const snarkjs = require('snarkjs');
+const { GasMeter, parseFee, createReceipt } = require('./gas');
 
 // Bytecode Instructions
 const OPCODES = {
@@ -48,9 +49,38 @@ const OPCODES = {
   VOTE: 0x28, // Cast vote
   VERIFY: 0x29, // Verify proof
   PROOF: 0x2A, // Generate proof
+  ASSIGN: 0x2B, // Assign to existing variable
   HALT: 0xFF, // Stop execution
 };
 
+// Gas charged per executed instruction while a job with a gas budget runs; unlisted opcodes cost 1
+const OPCODE_COSTS = {
+  [OPCODES.STORE]: 2,
+  [OPCODES.ASSIGN]: 2,
+  [OPCODES.CALL]: 10,
+  [OPCODES.ADD]: 2,
+  [OPCODES.SUB]: 2,
+  [OPCODES.MUL]: 2,
+  [OPCODES.DIV]: 3,
+  [OPCODES.MOD]: 3,
+  [OPCODES.SAY]: 2,
+  [OPCODES.CHECK]: 2,
+  [OPCODES.TYPE_CHECK]: 2,
+  [OPCODES.DICT_SET]: 2,
+  [OPCODES.LIST_APPEND]: 2,
+  [OPCODES.SUBSCRIBE]: 10,
+  [OPCODES.AUDIT]: 10,
+  [OPCODES.HASH]: 20,
+  [OPCODES.HTTP]: 100,
+  [OPCODES.SOCKET]: 100,
+  [OPCODES.CRYPTO]: 50,
+  [OPCODES.VOTE]: 20,
+  [OPCODES.VERIFY]: 50,
+  [OPCODES.ZK_PROOF]: 500,
+  [OPCODES.PROOF]: 500,
+  [OPCODES.HALT]: 0,
+};
+
 // Engine Class
 class Engine {
   constructor() {
@@ -62,7 +92,10 @@ class Engine {
     this.functions = new Map();
     this.eventListeners = new Map();
     this.asyncJobs = new Map();
+    this.meters = []; // Gas meters of the metered jobs running, outermost first
+    this.receipts = [];
     this.sockets = new Map(); // Track WebSocket connections
+    this.loopStack = []; // Enclosing loops with pending break/continue jumps
   }
 
   // Compile AST to bytecode
@@ -90,6 +123,9 @@ class Engine {
       case 'VarDecl':
         this.compileVarDecl(node);
         break;
+      case 'OpDecl':
+        this.compileOpDecl(node);
+        break;
       case 'BoxDecl':
         this.compileBoxDecl(node);
         break;
@@ -197,10 +233,10 @@ class Engine {
 
   compileVarDecl(node) {
     this.compileExpr(node.value);
-    if (node.type && node.type.type !== 'InferType') {
+    if (node.varType && node.varType.type !== 'InferType') {
       this.instructions.push({
         opcode: OPCODES.TYPE_CHECK,
-        type: node.type,
+        type: node.varType,
       });
     }
     if (node.names.type === 'Name') {
@@ -308,13 +344,28 @@ class Engine {
     });
   }
 
+  compileOpDecl(node) {
+    this.functions.set(`op ${node.op}`, {
+      type: 'Function',
+      args: node.args.map(arg => arg.name),
+      expr: node.expr,
+    });
+  }
+
   compileJobDecl(node) {
     const config = {};
     for (const field of node.config) {
       config[field.type] = field.value;
     }
+    if (config.gas) {
+      if (!Number.isInteger(config.gas.max) || config.gas.max <= 0) {
+        throw new Error(`Gas max of job ${node.name} must be a positive integer, got ${config.gas.max}`);
+      }
+      parseFee(config.gas.fee);
+    }
     const job = {
       type: 'Job',
+      name: node.name,
       config,
       actions: node.actions,
       onError: node.onError,
@@ -330,7 +381,7 @@ class Engine {
     });
     if (config.when) {
       const delay = this.parseTime(config.when);
-      this.asyncJobs.set(node.name, setTimeout(() => this.executeJob(job, []), delay));
+      this.asyncJobs.set(node.name, setTimeout(() => this.executeFunction(job, []), delay));
     }
   }
 
@@ -454,14 +505,6 @@ class Engine {
   }
 
   compileAllowDecl(node) {
-    this.instructions.push({
-      opcode: OPCODES.PUSH,
-      value: { type: 'Allow', permission: node.permission, target: node.target },
-    });
-    this.instructions.push({
-      opcode: OPCODES.STORE,
-      value: node.name,
-    });
     this.environment.definePermission(node.name, node.permission, node.target);
   }
 
@@ -646,6 +689,15 @@ class Engine {
   compileBinaryExpr(node) {
     this.compileExpr(node.left);
     this.compileExpr(node.right);
+    if (node.custom) {
+      // Declared operators are called like two-argument functions
+      this.instructions.push({
+        opcode: OPCODES.CALL,
+        value: `op ${node.op}`,
+        argCount: 2,
+      });
+      return;
+    }
     const opMap = {
       '&&': OPCODES.AND,
       '||': OPCODES.OR,
@@ -770,7 +822,7 @@ class Engine {
   compileQueryExpr(node) {
     this.instructions.push({
       opcode: OPCODES.PUSH,
-      value: { query: node.query, type: node.type },
+      value: { query: node.query, type: node.returnType },
     });
   }
 
@@ -788,6 +840,10 @@ class Engine {
       case 'WhileAction':
         this.compileWhileAction(node);
         break;
+      case 'BreakAction':
+      case 'ContinueAction':
+        this.compileLoopControlAction(node);
+        break;
       case 'MatchAction':
         this.compileMatchAction(node);
         break;
@@ -839,6 +895,9 @@ class Engine {
       case 'ProofAction':
         this.compileProofAction(node);
         break;
+      case 'LineNote':
+      case 'BlockNote':
+        break;
       default:
         throw new Error(`Unsupported action type: ${node.type}`);
     }
@@ -848,7 +907,7 @@ class Engine {
     this.compileExpr(node.value);
     if (node.target.type === 'Name') {
       this.instructions.push({
-        opcode: OPCODES.STORE,
+        opcode: OPCODES.ASSIGN,
         value: node.target.value,
       });
     } else {
@@ -881,18 +940,60 @@ class Engine {
   }
 
   compileLoopAction(node) {
+    if (!node.range) {
+      throw new Error('Bytecode loops only support numeric ranges');
+    }
+    const counter = node.target.type === 'Name' ? node.target.value : node.target.names[0];
+    const end = `${counter}:end`;
+    const step = `${counter}:step`;
     this.compileExpr(node.range.start);
+    this.instructions.push({ opcode: OPCODES.STORE, value: counter, rebind: true });
     this.compileExpr(node.range.end);
+    this.instructions.push({ opcode: OPCODES.STORE, value: end, rebind: true });
+    if (node.range.step) {
+      this.compileExpr(node.range.step);
+    } else {
+      this.instructions.push({ opcode: OPCODES.PUSH, value: 1 });
+    }
+    this.instructions.push({ opcode: OPCODES.STORE, value: step, rebind: true });
+    // A step of 0 would never reach the end
+    this.instructions.push({ opcode: OPCODES.LOAD, value: step });
+    this.instructions.push({ opcode: OPCODES.PUSH, value: 0 });
+    this.instructions.push({ opcode: OPCODES.EQ });
+    this.instructions.push({ opcode: OPCODES.JUMP_IF_FALSE, target: this.instructions.length + 3 });
+    this.instructions.push({ opcode: OPCODES.PUSH, value: 'step cannot be 0' });
+    this.instructions.push({ opcode: OPCODES.THROW, value: 'Invalid range' });
+    // Counts up to the end with a positive step and down to it with a negative one
     const loopStart = this.instructions.length;
-    this.instructions.push({
-      opcode: OPCODES.PUSH,
-      value: { type: 'LoopCounter' },
-    });
-    node.body.forEach(action => this.compileAction(action));
+    this.instructions.push({ opcode: OPCODES.LOAD, value: step });
+    this.instructions.push({ opcode: OPCODES.PUSH, value: 0 });
+    this.instructions.push({ opcode: OPCODES.GT });
+    const jumpIfDown = { opcode: OPCODES.JUMP_IF_FALSE, target: 0 };
+    this.instructions.push(jumpIfDown);
+    this.instructions.push({ opcode: OPCODES.LOAD, value: counter });
+    this.instructions.push({ opcode: OPCODES.LOAD, value: end });
+    this.instructions.push({ opcode: node.range.exclusive ? OPCODES.LT : OPCODES.LTE });
+    const jumpToTest = { opcode: OPCODES.JUMP, target: 0 };
+    this.instructions.push(jumpToTest);
+    jumpIfDown.target = this.instructions.length;
+    this.instructions.push({ opcode: OPCODES.LOAD, value: counter });
+    this.instructions.push({ opcode: OPCODES.LOAD, value: end });
+    this.instructions.push({ opcode: node.range.exclusive ? OPCODES.GT : OPCODES.GTE });
+    jumpToTest.target = this.instructions.length;
+    const jumpIfFalse = { opcode: OPCODES.JUMP_IF_FALSE, target: 0 };
+    this.instructions.push(jumpIfFalse);
+    const loop = this.compileLoopBody(node);
+    const continueTarget = this.instructions.length;
+    this.instructions.push({ opcode: OPCODES.LOAD, value: counter });
+    this.instructions.push({ opcode: OPCODES.LOAD, value: step });
+    this.instructions.push({ opcode: OPCODES.ADD });
+    this.instructions.push({ opcode: OPCODES.ASSIGN, value: counter });
     this.instructions.push({
       opcode: OPCODES.JUMP,
       target: loopStart,
     });
+    jumpIfFalse.target = this.instructions.length;
+    this.patchLoopJumps(loop, continueTarget, this.instructions.length);
   }
 
   compileWhileAction(node) {
@@ -900,12 +1001,39 @@ class Engine {
     this.compileExpr(node.condition);
     const jumpIfFalse = { opcode: OPCODES.JUMP_IF_FALSE, target: 0 };
     this.instructions.push(jumpIfFalse);
-    node.body.forEach(action => this.compileAction(action));
+    const loop = this.compileLoopBody(node);
     this.instructions.push({
       opcode: OPCODES.JUMP,
       target: loopStart,
     });
     jumpIfFalse.target = this.instructions.length;
+    this.patchLoopJumps(loop, loopStart, this.instructions.length);
+  }
+
+  compileLoopBody(node) {
+    const loop = { label: node.label || null, breakJumps: [], continueJumps: [] };
+    this.loopStack.push(loop);
+    node.body.forEach(action => this.compileAction(action));
+    this.loopStack.pop();
+    return loop;
+  }
+
+  patchLoopJumps(loop, continueTarget, breakTarget) {
+    loop.continueJumps.forEach(jump => (jump.target = continueTarget));
+    loop.breakJumps.forEach(jump => (jump.target = breakTarget));
+  }
+
+  compileLoopControlAction(node) {
+    const loop = node.label
+      ? [...this.loopStack].reverse().find(frame => frame.label === node.label)
+      : this.loopStack[this.loopStack.length - 1];
+    const keyword = node.type === 'BreakAction' ? 'break' : 'continue';
+    if (!loop) {
+      throw new Error(node.label ? `Unknown loop label ${node.label}` : `${keyword} outside of a loop`);
+    }
+    const jump = { opcode: OPCODES.JUMP, target: 0 };
+    this.instructions.push(jump);
+    (node.type === 'BreakAction' ? loop.breakJumps : loop.continueJumps).push(jump);
   }
 
   compileMatchAction(node) {
@@ -960,10 +1088,10 @@ class Engine {
 
   compileReturnAction(node) {
     this.compileExpr(node.value);
-    if (node.type) {
+    if (node.returnType) {
       this.instructions.push({
         opcode: OPCODES.TYPE_CHECK,
-        type: node.type,
+        type: node.returnType,
       });
     }
     this.instructions.push({
@@ -1109,6 +1237,8 @@ class Engine {
       if (this.ip === this.instructions.length - 1 && instruction.opcode !== OPCODES.HALT) {
         throw new Error('Program did not terminate with HALT');
       }
+      const cost = instruction.opcode in OPCODE_COSTS ? OPCODE_COSTS[instruction.opcode] : 1;
+      this.meters.forEach(meter => meter.charge(cost));
       await this.executeInstruction(instruction);
       this.ip++;
     }
@@ -1142,10 +1272,15 @@ class Engine {
             this.environment.define(this.instructions[this.ip + i + 1].value, arr[i]);
           }
           this.ip += instruction.value.count;
+        } else if (instruction.rebind && this.environment.bindings.has(instruction.value)) {
+          this.environment.assign(instruction.value, value);
         } else {
           this.environment.define(instruction.value, value);
         }
         break;
+      case OPCODES.ASSIGN:
+        this.environment.assign(instruction.value, this.stack.pop());
+        break;
       case OPCODES.CALL:
         const fn = this.functions.get(instruction.value) || this.environment.get(instruction.value);
         const args = [];
@@ -1252,8 +1387,8 @@ class Engine {
         }
         break;
       case OPCODES.AWAIT:
-        const value = this.stack.pop();
-        this.stack.push(await value);
+        const awaited = this.stack.pop();
+        this.stack.push(await awaited);
         break;
       case OPCODES.SUBSCRIBE:
         this.eventListeners.set(instruction.value, async data => {
@@ -1408,7 +1543,20 @@ class Engine {
           jobEnv.define(arg.name, args[index]);
         });
       }
-      return await this.executeActions(fn.actions, jobEnv);
+      if (!fn.config.gas) {
+        return await this.executeActions(fn.actions, jobEnv);
+      }
+      const meter = new GasMeter(fn.name, fn.config.gas.max);
+      this.meters.push(meter);
+      let result;
+      try {
+        result = await this.executeActions(fn.actions, jobEnv);
+      } finally {
+        this.meters = this.meters.filter(active => active !== meter);
+      }
+      const receipt = createReceipt(meter, parseFee(fn.config.gas.fee), result);
+      this.receipts.push(receipt);
+      return { ...receipt };
     } else if (fn.type === 'Function') {
       const fnEnv = new Environment(this.environment);
       fn.args.forEach((arg, index) => {
@@ -1419,21 +1567,46 @@ class Engine {
           fnEnv.define(name, this.environment.get(name));
         });
       }
-      this.compileExpr(fn.expr);
-      await this.execute(this.instructions.slice(-1));
-      return this.stack.pop();
+      return await this.evaluateExpr(fn.expr, fnEnv);
     }
     throw new Error(`Cannot call non-function ${fn.type}`);
   }
 
+  // Run an expression on its own instruction list, then restore the caller's frame
+  async evaluateExpr(expr, env) {
+    const { instructions, ip, stack, environment } = this;
+    this.instructions = [];
+    this.environment = env;
+    try {
+      this.compileExpr(expr);
+      this.instructions.push({ opcode: OPCODES.HALT });
+      await this.execute(this.instructions);
+      return this.stack.pop();
+    } finally {
+      this.instructions = instructions;
+      this.ip = ip;
+      this.stack = stack;
+      this.environment = environment;
+    }
+  }
+
+  // Run actions on their own instruction list, then restore the caller's frame like evaluateExpr
   async executeActions(actions, env) {
-    const prevEnv = this.environment;
+    const { instructions, ip, stack, environment } = this;
+    this.instructions = [];
     this.environment = env;
-    for (const action of actions) {
-      this.compileAction(action);
-      await this.execute(this.instructions.slice(-1));
+    try {
+      for (const action of actions) {
+        this.compileAction(action);
+      }
+      this.instructions.push({ opcode: OPCODES.HALT });
+      await this.execute(this.instructions);
+    } finally {
+      this.instructions = instructions;
+      this.ip = ip;
+      this.stack = stack;
+      this.environment = environment;
     }
-    this.environment = prevEnv;
   }
 
   // Run AST directly
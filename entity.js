@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Hash that the first change of a tracked history links back to
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Resolves how each field of an entity may change.
+ * Entity-level changes apply to every field; field-level ones add to them.
+ * @param {Object} node - EntityDecl node
+ * @param {number} defaultTtl - Seconds a short value lives when no TTL is given
+ * @returns {Object} Modes by field name: { fixed, tracked, ttl }, ttl in seconds or null
+ */
+function resolveModes(node, defaultTtl) {
+  const modes = {};
+  for (const field of node.fields) {
+    const changes = [...node.changes, ...(field.changes || [])];
+    const short = changes.includes('short');
+    if (changes.includes('fixed') && short) {
+      throw new Error(`Field ${node.name}.${field.name} cannot be both fixed and short`);
+    }
+    const ttl = field.ttl !== null && field.ttl !== undefined ? field.ttl : node.ttl;
+    modes[field.name] = {
+      fixed: changes.includes('fixed'),
+      tracked: changes.includes('tracked'),
+      ttl: short ? (ttl !== null && ttl !== undefined ? ttl : defaultTtl) : null
+    };
+  }
+  return modes;
+}
+
+/**
+ * Hashes a change together with the hash of the change before it.
+ * @param {Object} change - Change without its hash
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashChange(change) {
+  const { field, from, to, at, by, prev } = change;
+  const payload = JSON.stringify({ field, from, to, at: new Date(at).toISOString(), by, prev });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Appends a change to a tracked history, linking it to the previous one.
+ * @param {Object[]} history - Changes so far, oldest first
+ * @param {Object} change - { field, from, to, at, by }
+ * @returns {Object} The recorded change, including prev and hash
+ */
+function appendChange(history, change) {
+  const prev = history.length > 0 ? history[history.length - 1].hash : GENESIS_HASH;
+  const entry = { ...change, prev };
+  entry.hash = hashChange(entry);
+  history.push(entry);
+  return entry;
+}
+
+/**
+ * Checks that every change links to the one before it and still matches its hash.
+ * @param {Object[]} history - Changes, oldest first
+ * @returns {boolean} Whether the chain is intact
+ */
+function verifyHistory(history) {
+  let prev = GENESIS_HASH;
+  for (const entry of history) {
+    if (entry.prev !== prev || entry.hash !== hashChange(entry)) {
+      return false;
+    }
+    prev = entry.hash;
+  }
+  return true;
+}
+
+module.exports = { GENESIS_HASH, resolveModes, hashChange, appendChange, verifyHistory };
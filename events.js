@@ -0,0 +1,102 @@
+/**
+ * Checks whether a topic matches a subscription pattern.
+ * Topics are dot-separated; a * segment in the pattern matches any one segment.
+ * @param {string} pattern - Pattern such as signals.* or dash:refresh
+ * @param {string} topic - Published topic
+ * @returns {boolean} Whether the topic matches
+ */
+function matchesTopic(pattern, topic) {
+  const patternSegments = pattern.split('.');
+  const topicSegments = topic.split('.');
+  return patternSegments.length === topicSegments.length &&
+    patternSegments.every((segment, index) => segment === '*' || segment === topicSegments[index]);
+}
+
+function checkTopic(topic, allowWildcards) {
+  if (typeof topic !== 'string' || topic.split('.').some(segment => segment === '')) {
+    throw new Error(`Invalid topic ${topic}`);
+  }
+  if (topic.split('.').some(segment => segment.includes('*') && (segment !== '*' || !allowWildcards))) {
+    throw new Error(allowWildcards
+      ? `Invalid topic ${topic}; * must be a whole segment`
+      : `Cannot publish to wildcard topic ${topic}`);
+  }
+}
+
+/**
+ * In-process publish/subscribe bus. Events are delivered one at a time in publish order,
+ * and to each matching subscriber in the order they subscribed.
+ */
+class EventBus {
+  constructor() {
+    this.subscriptions = []; // { id, patterns, handler }, oldest first
+    this.pending = []; // Published events waiting for delivery
+    this.delivering = false;
+    this.failures = []; // Handler errors that no on_error dealt with
+    this.nextId = 1;
+  }
+
+  /**
+   * Adds a subscriber.
+   * @param {string|string[]} patterns - Topic pattern, or several that each deliver to the handler
+   * @param {Function} handler - async (data, topic) => void
+   * @returns {number} Subscription id for unsubscribe
+   * @throws {Error} If a pattern is not a valid topic
+   */
+  subscribe(patterns, handler) {
+    patterns = Array.isArray(patterns) ? patterns : [patterns];
+    patterns.forEach(pattern => checkTopic(pattern, true));
+    const id = this.nextId++;
+    this.subscriptions.push({ id, patterns, handler });
+    return id;
+  }
+
+  /**
+   * Removes a subscriber; events already being delivered to it are not recalled.
+   * @param {number} id - Subscription id
+   * @returns {boolean} True if the subscription was active
+   */
+  unsubscribe(id) {
+    const before = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter(subscription => subscription.id !== id);
+    return this.subscriptions.length < before;
+  }
+
+  /**
+   * Publishes an event. Resolves once it has been delivered, unless it was published
+   * from a handler, in which case it is delivered after the event being handled.
+   * @param {string} topic - Topic without wildcards
+   * @param {any} data - Event payload
+   * @throws {Error} If the topic is invalid
+   */
+  async publish(topic, data) {
+    checkTopic(topic, false);
+    this.pending.push({ topic, data });
+    if (this.delivering) {
+      return;
+    }
+    this.delivering = true;
+    try {
+      while (this.pending.length > 0) {
+        await this.deliver(this.pending.shift());
+      }
+    } finally {
+      this.delivering = false;
+    }
+  }
+
+  async deliver({ topic, data }) {
+    const subscribers = this.subscriptions.filter(subscription =>
+      subscription.patterns.some(pattern => matchesTopic(pattern, topic)));
+    for (const subscription of subscribers) {
+      // One failing subscriber must not keep the event from the rest
+      try {
+        await subscription.handler(data, topic);
+      } catch (e) {
+        this.failures.push({ topic, subscription: subscription.id, error: e.message, at: new Date() });
+      }
+    }
+  }
+}
+
+module.exports = { EventBus, matchesTopic };
@@ -0,0 +1,78 @@
+/**
+ * Raised when a job spends more gas than its gas: { max } allows. The message starts with
+ * out_of_gas: like errors thrown from scripts, so catch blocks can tell it apart.
+ */
+class OutOfGasError extends Error {
+  constructor(meter) {
+    super(`out_of_gas: job ${meter.job} ran out of gas (max ${meter.limit})`);
+    this.name = 'OutOfGasError';
+    this.code = 'out_of_gas';
+    this.meter = meter;
+    this.job = meter.job;
+    this.gasUsed = meter.used;
+    this.gasLimit = meter.limit;
+  }
+}
+
+/**
+ * Counts the gas one job run spends.
+ */
+class GasMeter {
+  /**
+   * @param {string} job - Job name, for errors and receipts
+   * @param {number} limit - Most gas the run may spend
+   */
+  constructor(job, limit) {
+    this.job = job;
+    this.limit = limit;
+    this.used = 0;
+  }
+
+  /**
+   * Spends gas.
+   * @param {number} amount - Gas to spend
+   * @throws {OutOfGasError} If the run would go over its limit
+   */
+  charge(amount) {
+    if (this.used + amount > this.limit) {
+      this.used = this.limit;
+      throw new OutOfGasError(this);
+    }
+    this.used += amount;
+  }
+}
+
+/**
+ * Parses a gas fee, the price of one unit of gas with an optional currency.
+ * @param {string} text - Fee such as "0.002 LOV" or "1"
+ * @returns {Object} { rate, currency }, currency null when not given
+ * @throws {Error} If the fee is not a non-negative price
+ */
+function parseFee(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)(?:\s+(\S+))?$/);
+  if (!match) {
+    throw new Error(`Invalid gas fee ${text}; expected a price per unit of gas, as in "0.002 LOV"`);
+  }
+  return { rate: parseFloat(match[1]), currency: match[2] || null };
+}
+
+/**
+ * Builds the receipt a metered job returns.
+ * @param {GasMeter} meter - Meter of the finished run
+ * @param {Object} fee - Parsed fee
+ * @param {any} result - What the job returned
+ * @returns {Object} { job, result, gasUsed, gasLimit, fee, currency }
+ */
+function createReceipt(meter, fee, result) {
+  return {
+    job: meter.job,
+    result: result === undefined ? null : result,
+    gasUsed: meter.used,
+    gasLimit: meter.limit,
+    // Rounded so prices like 0.1 do not leave floating point noise in the total
+    fee: Number((meter.used * fee.rate).toFixed(12)),
+    currency: fee.currency
+  };
+}
+
+module.exports = { OutOfGasError, GasMeter, parseFee, createReceipt };
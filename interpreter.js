@@ -1,3 +1,55 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Tokenizer } = require('./tokenizer');
+const Parser = require('./parser');
+const { generateKeyPair, signRitual, verifyRitualSeal, signBallot } = require('./seal');
+const { MemoryStorage } = require('./storage');
+const { resolveModes, appendChange, verifyHistory } = require('./entity');
+const { MessageQueue } = require('./queue');
+const { EventBus } = require('./events');
+const { Scheduler, RealClock, parseDuration } = require('./scheduler');
+const { OutOfGasError, GasMeter, parseFee, createReceipt } = require('./gas');
+const { Lifecycles } = require('./lifecycle');
+const { runChecks } = require('./checks');
+const { Ledger, periodStart, PERIODS } = require('./ledger');
+const { Reputation } = require('./reputation');
+const { Proposal } = require('./consensus');
+
+// Gas charged each time a job with a gas budget evaluates a node; unlisted nodes cost DEFAULT_NODE_COST
+const DEFAULT_NODE_COST = 1;
+const NODE_COSTS = {
+  BinaryExpr: 2,
+  NotExpr: 2,
+  Call: 10,
+  BoxExpr: 3,
+  DictExpr: 3,
+  ListExpr: 3,
+  SmallFnExpr: 5,
+  SetAction: 3,
+  SetBoxAction: 3,
+  SayAction: 2,
+  CheckAction: 2,
+  QueryExpr: 20,
+  AskExpr: 30,
+  AskAction: 30,
+  StoreAction: 50,
+  ForgetAction: 50,
+  EnqueueAction: 10,
+  DequeueExpr: 10,
+  EmitAction: 10,
+  VoteAction: 50,
+  HttpAction: 100,
+  SocketAction: 100,
+  HashAction: 20,
+  VerifyAction: 50,
+  KeygenAction: 100,
+  SealAction: 100,
+  MultisigAction: 100,
+  ZkProofAction: 500
+};
+
 class Environment {
   constructor(parent = null) {
     this.bindings = new Map(); // Stores variable bindings
@@ -5,6 +57,7 @@ class Environment {
     this.parent = parent; // Reference to parent environment for scope chain
     this.permissions = new Map(); // Stores access control permissions
     this.eventListeners = new Map(); // Stores event listeners for view/subscribe
+    this.owner = null; // Namespace or pack whose members live in this environment
   }
 
   define(name, value) {
@@ -31,6 +84,14 @@ class Environment {
     throw new Error(`Undefined variable ${name}`);
   }
 
+  has(name) {
+    return this.bindings.has(name) || (this.parent ? this.parent.has(name) : false);
+  }
+
+  hasType(name) {
+    return this.types.has(name) || (this.parent ? this.parent.hasType(name) : false);
+  }
+
   getType(name) {
     if (this.types.has(name)) {
       return this.types.get(name);
@@ -54,20 +115,41 @@ class Environment {
   }
 
   definePermission(name, permission, target) {
-    this.permissions.set(`${name}:${target}`, permission);
+    if (!this.permissions.has(target)) {
+      this.permissions.set(target, new Map());
+    }
+    const grants = this.permissions.get(target);
+    if (!grants.has(name)) {
+      grants.set(name, new Set());
+    }
+    grants.get(name).add(permission);
   }
 
+  findPermissions(target) {
+    if (this.permissions.has(target)) {
+      return this.permissions.get(target);
+    }
+    return this.parent ? this.parent.findPermissions(target) : null;
+  }
+
+  // Targets without any allow in scope stay open to everyone
   hasPermission(name, permission, target) {
-    return this.permissions.get(`${name}:${target}`) === permission;
+    const grants = this.findPermissions(target);
+    return !grants || (grants.has(name) && grants.get(name).has(permission));
   }
 
   registerEventListener(eventName, callback) {
-    this.eventListeners.set(eventName, callback);
+    if (!this.eventListeners.has(eventName)) {
+      this.eventListeners.set(eventName, []);
+    }
+    this.eventListeners.get(eventName).push(callback);
+    return () => {
+      this.eventListeners.set(eventName, this.eventListeners.get(eventName).filter(listener => listener !== callback));
+    };
   }
 
   triggerEvent(eventName, data) {
-    const listener = this.eventListeners.get(eventName);
-    if (listener) {
+    for (const listener of this.eventListeners.get(eventName) || []) {
       listener(data);
     }
   }
@@ -122,26 +204,420 @@ class Environment {
   }
 }
 
+// Control-flow signals unwind nested blocks until the enclosing body handles them.
+class ControlSignal {}
+
+class ReturnSignal extends ControlSignal {
+  constructor(value) {
+    super();
+    this.value = value;
+  }
+}
+
+class BreakSignal extends ControlSignal {
+  constructor(label) {
+    super();
+    this.label = label;
+  }
+}
+
+class ContinueSignal extends ControlSignal {
+  constructor(label) {
+    super();
+    this.label = label;
+  }
+}
+
 class Interpreter {
-  constructor() {
-    this.globalEnv = new Environment();
-    this.asyncJobs = new Map();
-    this.eventListeners = new Map();
+  constructor(options = {}) {
+    this.preludeEnv = new Environment();
+    this.globalEnv = new Environment(this.preludeEnv);
+    this.root = path.resolve(options.root || process.cwd());
+    this.modules = new Map();
+    this.moduleStack = [];
+    this.principal = options.principal || null;
+    this.auditLog = [];
+    this.storage = options.storage || new MemoryStorage();
+    this.askIndexes = new Map(); // Equality indexes over stored collections, by key prefix then field
+    this.shortTtl = options.shortTtl || 60; // Seconds a short entity value or job lives unless its declaration says otherwise
+    this.entityStates = new WeakMap(); // Expiry times and tracked history of each entity instance
+    this.gasMeters = new AsyncLocalStorage(); // Meters of the metered jobs the current code runs inside
+    this.receipts = [];
+    this.scheduler = new Scheduler({ clock: options.clock || new RealClock(), storage: this.storage });
+    this.lifecycles = new Lifecycles({
+      clock: this.scheduler.clock,
+      restartTimers: this.scheduler, // So --wait holds the process open for pending restarts
+      ...options.supervision,
+      onTransition: change => this.auditLog.push({ event: 'lifecycle', ...change })
+    });
+    this.events = new EventBus();
+    this.ledger = new Ledger({ storage: this.storage });
+    this.monies = new Map(); // Money declarations whose rules pay for recorded activity, by name
+    this.activitySubscription = null;
+    this.reputations = new Map();
+    this.proposals = new Map(); // Proposals opened by consensus blocks, by name
+    this.covenants = new Map();
+    this.manifest = null;
+    this.rituals = new Map();
+    this.queues = new Map();
+    this.views = new Map();
     this.initializeBuiltins();
   }
 
   initializeBuiltins() {
-    this.globalEnv.defineType('num', { kind: 'SimpleType', value: 'num' });
-    this.globalEnv.defineType('word', { kind: 'SimpleType', value: 'word' });
-    this.globalEnv.defineType('bool', { kind: 'SimpleType', value: 'bool' });
-    this.globalEnv.defineType('time', { kind: 'SimpleType', value: 'time' });
-    this.globalEnv.defineType('address', { kind: 'SimpleType', value: 'address' });
-    this.globalEnv.defineType('mood', { kind: 'SimpleType', value: 'mood' });
-    this.globalEnv.defineType('any', { kind: 'SimpleType', value: 'any' });
+    this.preludeEnv.defineType('num', { kind: 'SimpleType', value: 'num' });
+    this.preludeEnv.defineType('word', { kind: 'SimpleType', value: 'word' });
+    this.preludeEnv.defineType('text', { kind: 'SimpleType', value: 'word' });
+    this.preludeEnv.defineType('bool', { kind: 'SimpleType', value: 'bool' });
+    this.preludeEnv.defineType('time', { kind: 'SimpleType', value: 'time' });
+    this.preludeEnv.defineType('address', { kind: 'SimpleType', value: 'address' });
+    this.preludeEnv.defineType('mood', { kind: 'SimpleType', value: 'mood' });
+    this.preludeEnv.defineType('any', { kind: 'SimpleType', value: 'any' });
+    this.preludeEnv.define('history', {
+      type: 'Function',
+      name: 'history',
+      tags: [],
+      args: [{ name: 'entity' }, { name: 'field' }],
+      returnType: null,
+      execute: async ([instance, field = null]) => this.getEntityHistory(instance, field)
+    });
+    this.preludeEnv.define('balance', {
+      type: 'Function',
+      name: 'balance',
+      tags: [],
+      args: [{ name: 'account' }],
+      returnType: null,
+      execute: async ([account]) => this.getBalance(account)
+    });
+    for (const control of ['pause', 'resume', 'cancel', 'status']) {
+      this.preludeEnv.define(control, {
+        type: 'Function',
+        name: control,
+        tags: [],
+        args: [{ name: 'job' }],
+        returnType: null,
+        execute: async ([job]) => {
+          const name = job && job.type === 'Job' ? job.name : job;
+          if (control === 'status') {
+            return this.getJobStatus(name);
+          }
+          await this[`${control}Job`](name);
+          return null;
+        }
+      });
+    }
+  }
+
+  now() {
+    return this.scheduler.clock.now();
+  }
+
+  async interpret(ast, file = null) {
+    if (!file) {
+      return await this.runProgram(ast, this.globalEnv);
+    }
+    this.moduleStack.push(path.resolve(file));
+    try {
+      return await this.runProgram(ast, this.globalEnv);
+    } finally {
+      this.moduleStack.pop();
+    }
+  }
+
+  async runProgram(ast, env) {
+    try {
+      return await this.evalProgram(ast, env);
+    } catch (e) {
+      if (e instanceof ReturnSignal) {
+        throw new Error('return used outside of a function or job');
+      }
+      if (e instanceof BreakSignal || e instanceof ContinueSignal) {
+        throw new Error(`${e instanceof BreakSignal ? 'break' : 'continue'} used outside of a loop`);
+      }
+      throw e;
+    }
+  }
+
+  setPrincipal(name) {
+    this.principal = name || null;
+  }
+
+  getPrincipal() {
+    return this.principal;
+  }
+
+  getAuditLog() {
+    return this.auditLog.map(entry => ({ ...entry }));
+  }
+
+  checkPermission(permission, target, env) {
+    // Code running without an acting principal is the host itself and is never restricted
+    if (this.principal === null || env.hasPermission(this.principal, permission, target)) {
+      return;
+    }
+    this.auditLog.push({ event: 'denied', principal: this.principal, permission, target, at: new Date(this.now()) });
+    throw new Error(`${this.principal} cannot ${permission} ${target}`);
+  }
+
+  async getTombstones() {
+    return await this.storage.tombstones();
+  }
+
+  getCovenants() {
+    return [...this.covenants.values()].map(covenant => ({ name: covenant.name, fields: { ...covenant.fields } }));
+  }
+
+  getCovenant(name) {
+    const covenant = this.covenants.get(name);
+    if (!covenant) {
+      throw new Error(`Unknown covenant ${name}`);
+    }
+    return { name: covenant.name, fields: { ...covenant.fields } };
+  }
+
+  getManifest() {
+    return this.manifest ? { ...this.manifest } : null;
+  }
+
+  getRituals() {
+    return [...this.rituals.values()].map(ritual => this.describeRitual(ritual));
+  }
+
+  getRitual(name) {
+    const ritual = this.rituals.get(name);
+    if (!ritual) {
+      throw new Error(`Unknown ritual ${name}`);
+    }
+    return this.describeRitual(ritual);
+  }
+
+  sealRitual(name, keyPairs) {
+    const ritual = this.rituals.get(name);
+    if (!ritual) {
+      throw new Error(`Unknown ritual ${name}`);
+    }
+    return this.applySeal(ritual, keyPairs);
+  }
+
+  applySeal(ritual, keyPairs) {
+    if (!Array.isArray(keyPairs) || keyPairs.length !== ritual.binds.length) {
+      throw new Error(`Ritual ${ritual.name} binds ${ritual.binds.length} agents, got ${Array.isArray(keyPairs) ? keyPairs.length : typeof keyPairs}`);
+    }
+    ritual.seal = signRitual(ritual.name, ritual.oath, keyPairs);
+    return ritual.seal;
+  }
+
+  describeRitual(ritual) {
+    return { name: ritual.name, tags: [...ritual.tags], binds: [...ritual.binds], oath: ritual.oath, seal: ritual.seal };
+  }
+
+  getReceipts() {
+    return this.receipts.map(receipt => ({ ...receipt }));
+  }
+
+  getJobs() {
+    const names = new Set([...this.scheduler.jobs.keys(), ...this.lifecycles.records.keys()]);
+    return [...names].map(name => this.getJobStatus(name));
+  }
+
+  getJobStatus(name) {
+    const life = this.lifecycles.status(name);
+    if (life && !this.scheduler.jobs.has(name)) {
+      return { name, ...life };
+    }
+    return { ...this.scheduler.status(name), ...life };
+  }
+
+  async pauseJob(name) {
+    await this.scheduler.pause(name);
+  }
+
+  async resumeJob(name) {
+    await this.scheduler.resume(name);
+  }
+
+  async cancelJob(name) {
+    // Cancelling also ends the supervision of a forever job, which need not be scheduled
+    if (this.lifecycles.stop(name) && !this.scheduler.jobs.has(name)) {
+      return;
+    }
+    await this.scheduler.cancel(name);
+  }
+
+  async postActivity(activity) {
+    return await this.recordActivity(activity);
+  }
+
+  async getBalance(account) {
+    return await this.ledger.balance(`user:${account}`);
+  }
+
+  async getStatement(account, range = {}) {
+    return await this.ledger.statement(`user:${account}`, {
+      from: range.from ? new Date(range.from).getTime() : null,
+      to: range.to ? new Date(range.to).getTime() : null
+    });
+  }
+
+  async verifyLedger() {
+    await this.ledger.load();
+    return this.ledger.verify();
+  }
+
+  getReputation(name, user) {
+    return this.findReputation(name).score(user, this.now());
+  }
+
+  getReputationHistory(name, user) {
+    return this.findReputation(name).history(user, this.now());
   }
 
-  async interpret(ast) {
-    return await this.evalProgram(ast, this.globalEnv);
+  async recordReputation(name, user, kind, detail = null) {
+    return await this.findReputation(name).record(user, kind, { at: this.now(), detail });
+  }
+
+  async castVote(name, voter, choice, signature) {
+    return await this.castBallot(this.findProposal(name), voter, choice, signature);
+  }
+
+  getProposal(name) {
+    return this.findProposal(name).describe();
+  }
+
+  findProposal(name) {
+    const proposal = this.proposals.get(name);
+    if (!proposal) {
+      throw new Error(`No consensus ${name}`);
+    }
+    return proposal;
+  }
+
+  findReputation(name) {
+    const reputation = this.reputations.get(name);
+    if (!reputation) {
+      throw new Error(`No reputation ${name}`);
+    }
+    return reputation;
+  }
+
+  async publish(topic, data = null) {
+    await this.events.publish(topic, data);
+  }
+
+  subscribe(topic, callback) {
+    const id = this.events.subscribe(topic, callback);
+    return () => this.events.unsubscribe(id);
+  }
+
+  getEventFailures() {
+    return this.events.failures.map(failure => ({ ...failure }));
+  }
+
+  getView(name) {
+    return { ...this.findView(name).values };
+  }
+
+  onViewChange(name, callback) {
+    const view = this.findView(name);
+    view.watchers.push(callback);
+    return () => {
+      view.watchers = view.watchers.filter(watcher => watcher !== callback);
+    };
+  }
+
+  findView(name) {
+    const view = this.views.get(name);
+    if (!view) {
+      throw new Error(`Unknown view ${name}`);
+    }
+    return view;
+  }
+
+  async enqueue(name, message) {
+    await this.findQueue(name).enqueue(message);
+  }
+
+  async dequeue(name) {
+    return await this.findQueue(name).dequeue();
+  }
+
+  getQueue(name) {
+    return this.findQueue(name).describe();
+  }
+
+  findQueue(name) {
+    const queue = this.queues.get(name);
+    if (!queue) {
+      throw new Error(`Unknown queue ${name}`);
+    }
+    return queue;
+  }
+
+  createEntity(name, values = {}) {
+    const entityType = this.findEntityType(name, this.globalEnv);
+    if (!entityType) {
+      throw new Error(`Unknown entity ${name}`);
+    }
+    return this.buildEntity(entityType, values, this.globalEnv);
+  }
+
+  updateEntity(instance, field, value) {
+    this.writeEntityField(instance, this.entityTypeOf(instance), field, value, this.globalEnv, false);
+  }
+
+  getEntityHistory(instance, field = null) {
+    const entityType = this.entityTypeOf(instance);
+    if (field !== null && !entityType.fields.some(f => f.name === field && f.tracked)) {
+      throw new Error(`Field ${entityType.name}.${field} is not tracked`);
+    }
+    this.expireEntityFields(instance, entityType);
+    return this.entityState(instance).history
+      .filter(change => field === null || change.field === field)
+      .map(change => ({ ...change }));
+  }
+
+  verifyEntityHistory(instance) {
+    this.entityTypeOf(instance);
+    return verifyHistory(this.entityState(instance).history);
+  }
+
+  // Caller arguments, by position, win over the defaults in the job's data
+  async jobInput(config, args, env) {
+    const input = {};
+    if (config.data) {
+      Object.assign(input, (await this.evalExpr(config.data, env)).value);
+    }
+    (config.args || []).forEach((arg, index) => {
+      if (index < args.length || !(arg.name in input)) {
+        input[arg.name] = args[index];
+      }
+    });
+    return input;
+  }
+
+  readInputField(input, field, env) {
+    const [root, ...path] = field.split('.');
+    return path.reduce((value, key) => (value === null || value === undefined ? value : this.readMember(value, key, env)), input[root]);
+  }
+
+  checkReplaceable(name, env) {
+    const current = env.has(name) ? env.get(name) : null;
+    if (current && current.type === 'Job' && this.lifecycles.isSacred(current.name)) {
+      throw new Error(`Job ${current.name} is sacred and cannot be replaced`);
+    }
+  }
+
+  chargeGas(node) {
+    const meters = this.gasMeters.getStore();
+    if (meters) {
+      const cost = node.type in NODE_COSTS ? NODE_COSTS[node.type] : DEFAULT_NODE_COST;
+      meters.forEach(meter => meter.charge(cost));
+    }
+  }
+
+  // Running out of gas aborts the whole job, so nothing inside it may catch the error; its callers can
+  isOutOfGas(e) {
+    return e instanceof OutOfGasError && (this.gasMeters.getStore() || []).includes(e.meter);
   }
 
   async evalProgram(node, env) {
@@ -153,6 +629,7 @@ class Interpreter {
   }
 
   async evalNode(node, env) {
+    this.chargeGas(node);
     switch (node.type) {
       case 'Namespace':
         return await this.evalNamespace(node, env);
@@ -160,6 +637,12 @@ class Interpreter {
         return await this.evalPack(node, env);
       case 'VarDecl':
         return await this.evalVarDecl(node, env);
+      case 'FnDecl':
+        return await this.evalFnDecl(node, env);
+      case 'OpDecl':
+        return await this.evalOpDecl(node, env);
+      case 'BringDecl':
+        return await this.evalBringDecl(node, env);
       case 'BoxDecl':
         return await this.evalBoxDecl(node, env);
       case 'MapDecl':
@@ -204,36 +687,97 @@ class Interpreter {
         return await this.evalErrorDecl(node, env);
       case 'TestDecl':
         return await this.evalTestDecl(node, env);
+      case 'CovenantDecl':
+        return await this.evalCovenantDecl(node, env);
+      case 'ManifestDecl':
+        return await this.evalManifestDecl(node, env);
+      case 'RitualDecl':
+        return await this.evalRitualDecl(node, env);
       case 'LineNote':
       case 'BlockNote':
         return null;
       default:
-        throw new Error(`Unknown node type: ${node.type}`);
+        // Top-level programs may mix declarations with actions
+        return await this.evalAction(node, env);
     }
   }
 
   async evalNamespace(node, env) {
     const namespaceEnv = new Environment(env);
+    const namespace = { type: 'Namespace', name: node.name, env: namespaceEnv, visibility: this.memberVisibility(node.body) };
+    namespaceEnv.owner = namespace;
     for (const item of node.body) {
       await this.evalNode(item, namespaceEnv);
     }
-    env.define(node.name, { type: 'Namespace', env: namespaceEnv });
+    env.define(node.name, namespace);
     return null;
   }
 
   async evalPack(node, env) {
     const packEnv = new Environment(env);
+    const pack = { type: 'Pack', name: node.name, tags: node.tags, env: packEnv, visibility: this.memberVisibility(node.body) };
+    packEnv.owner = pack;
     for (const item of node.body) {
       await this.evalNode(item, packEnv);
     }
-    env.define(node.name, { type: 'Pack', tags: node.tags, env: packEnv });
+    env.define(node.name, pack);
     return null;
   }
 
+  memberVisibility(items) {
+    const visibility = new Map();
+    for (const item of items) {
+      const tag = (item.tags || []).find(t => ['private', 'internal'].includes(t));
+      if (tag) {
+        visibility.set(item.type === 'OpDecl' ? `op ${item.op}` : item.name, tag);
+      }
+    }
+    return visibility;
+  }
+
+  readContainerMember(container, key, env) {
+    this.checkMemberVisible(container, key, env);
+    // Grants are looked up where the member is bound, as they are for code inside the container
+    this.checkPermission('read', key, container.env);
+    return container.env.bindings.get(key);
+  }
+
+  checkMemberVisible(container, key, env) {
+    if (!container.env.bindings.has(key)) {
+      throw new Error(`${container.type} ${container.name} has no member ${key}`);
+    }
+    const visibility = container.visibility.get(key);
+    if (visibility) {
+      // Private members are reachable from inside their own pack, internal ones from inside its namespace
+      const allowed = visibility === 'private' ? container.env : this.enclosingNamespaceEnv(container.env);
+      if (!this.isWithinEnv(env, allowed)) {
+        const scope = allowed.owner ? `${allowed.owner.type.toLowerCase()} ${allowed.owner.name}` : 'its module';
+        throw new Error(`Cannot access ${visibility} member ${key} outside ${scope}`);
+      }
+    }
+  }
+
+  enclosingNamespaceEnv(env) {
+    let current = env;
+    while (!(current.owner && current.owner.type === 'Namespace') && current.parent && current.parent !== this.preludeEnv) {
+      current = current.parent;
+    }
+    return current;
+  }
+
+  isWithinEnv(env, target) {
+    for (let current = env; current; current = current.parent) {
+      if (current === target) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   async evalVarDecl(node, env) {
     const value = await this.evalExpr(node.value, env);
-    if (node.type && node.type.type !== 'InferType') {
-      this.validateType(value, node.type, env);
+    if (node.varType && node.varType.type !== 'InferType') {
+      this.validateType(value, node.varType, env);
     }
     if (node.names.type === 'Name') {
       env.define(node.names.value, value);
@@ -248,10 +792,96 @@ class Interpreter {
           throw new Error(`Not enough values to destructure at ${name}`);
         }
       });
+      for (const name of node.names.names) {
+        await this.notifyChange(name);
+      }
     }
     return value;
   }
 
+  async evalFnDecl(node, env) {
+    const fn = {
+      type: 'Function',
+      name: node.name,
+      tags: node.tags,
+      args: node.args,
+      returnType: node.returnType,
+      execute: async (args) => {
+        if (args.length !== node.args.length) {
+          throw new Error(`Function ${node.name} expects ${node.args.length} arguments, got ${args.length}`);
+        }
+        const fnEnv = new Environment(env);
+        node.args.forEach((arg, index) => {
+          if (arg.type) {
+            try {
+              this.validateType(args[index], arg.type, env);
+            } catch (e) {
+              throw new Error(`Argument ${arg.name} of ${node.name}: ${e.message}`);
+            }
+          }
+          fnEnv.define(arg.name, args[index]);
+        });
+        let result;
+        try {
+          result = await this.executeBody(node.body, fnEnv);
+        } catch (e) {
+          if (!node.onError || e instanceof ControlSignal || this.isOutOfGas(e)) {
+            throw e;
+          }
+          const errorEnv = new Environment(fnEnv);
+          if (node.onError.errorName) {
+            errorEnv.define(node.onError.errorName, e.message);
+          }
+          result = await this.executeBody(node.onError.body, errorEnv);
+        }
+        if (node.returnType) {
+          try {
+            this.validateType(result, node.returnType, env);
+          } catch (e) {
+            throw new Error(`Return value of ${node.name}: ${e.message}`);
+          }
+        }
+        return result;
+      }
+    };
+    env.define(node.name, fn);
+    return null;
+  }
+
+  async evalOpDecl(node, env) {
+    const op = {
+      type: 'Function',
+      name: node.op,
+      tags: node.tags,
+      args: node.args,
+      returnType: node.returnType,
+      execute: async (args) => {
+        const opEnv = new Environment(env);
+        node.args.forEach((arg, index) => {
+          if (arg.type) {
+            try {
+              this.validateType(args[index], arg.type, env);
+            } catch (e) {
+              throw new Error(`Operand ${arg.name} of ${node.op}: ${e.message}`);
+            }
+          }
+          opEnv.define(arg.name, args[index]);
+        });
+        const result = await this.evalExpr(node.expr, opEnv);
+        if (node.returnType) {
+          try {
+            this.validateType(result, node.returnType, env);
+          } catch (e) {
+            throw new Error(`Result of ${node.op}: ${e.message}`);
+          }
+        }
+        return result;
+      }
+    };
+    env.define(`op ${node.op}`, op);
+    return null;
+  }
+
   async evalBoxDecl(node, env) {
     const boxType = {
       kind: 'BoxType',
@@ -278,32 +908,179 @@ class Interpreter {
   }
 
   async evalQueueDecl(node, env) {
-    env.define(node.name, { type: 'Queue', queue: [] });
+    if (this.queues.has(node.name)) {
+      throw new Error(`Queue ${node.name} already declared`);
+    }
+    const options = await this.evalMetadataFields(node.fields, env);
+    for (const option of Object.keys(options)) {
+      if (!['limit', 'retries', 'dead', 'persist'].includes(option)) {
+        throw new Error(`Unknown queue option ${option}; expected limit, retries, dead or persist`);
+      }
+    }
+    const queue = new MessageQueue(node.name, {
+      limit: options.limit === undefined ? null : options.limit,
+      retries: options.retries === undefined ? 3 : options.retries,
+      dead: options.dead || null,
+      storage: options.persist ? this.storage : null
+    });
+    await queue.load();
+    this.queues.set(node.name, queue);
+    env.define(node.name, queue);
     return null;
   }
 
   async evalViewDecl(node, env) {
+    if (this.views.has(node.name)) {
+      throw new Error(`View ${node.name} already declared`);
+    }
     const view = {
       type: 'View',
+      name: node.name,
       fields: node.fields,
-      events: {}
+      events: {},
+      values: {}, // Current field values
+      deps: new Set(), // Names and store:key patterns the derived fields read
+      watchers: [], // Host callbacks run when field values change
+      env,
+      recomputing: false
     };
+    for (const field of node.fields) {
+      if (field.expr) {
+        this.collectDependencies(field.expr, view.deps);
+      } else {
+        view.values[field.name] = null;
+      }
+    }
+    await this.recomputeView(view);
     for (const event of node.events) {
       view.events[event.name] = {
         actions: event.actions,
         onError: event.onError
       };
-      this.eventListeners.set(`${node.name}:${event.name}`, async (data) => {
+      this.events.subscribe([event.name, `${node.name}:${event.name}`], async (data) => {
         const eventEnv = new Environment(env);
         eventEnv.define('eventData', data);
-        await this.executeActions(event.actions, eventEnv);
+        try {
+          await this.executeBody(event.actions, eventEnv);
+        } catch (e) {
+          if (!event.onError || this.isOutOfGas(e)) {
+            throw e;
+          }
+          const errorEnv = new Environment(eventEnv);
+          if (event.onError.errorName) {
+            errorEnv.define(event.onError.errorName, e.message);
+          }
+          await this.executeBody(event.onError.body, errorEnv);
+        }
       });
     }
     env.define(node.name, view);
+    this.views.set(node.name, view);
     return null;
   }
 
+  collectDependencies(node, deps) {
+    if (Array.isArray(node)) {
+      node.forEach(item => this.collectDependencies(item, deps));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (node.type === 'Identifier') {
+      deps.add(node.value);
+    } else if (node.type === 'QueryExpr') {
+      deps.add(`store:${node.query}`);
+    } else if (node.type === 'AskExpr') {
+      deps.add(node.name);
+      deps.add(`store:${node.name}:*`);
+    }
+    Object.values(node).forEach(value => this.collectDependencies(value, deps));
+  }
+
+  // Called after a name or store key is written, to recompute the views that read it
+  async notifyChange(name) {
+    for (const view of this.views.values()) {
+      const reads = [...view.deps].some(dep => dep === name || (dep.endsWith('*') && name.startsWith(dep.slice(0, -1))));
+      if (reads) {
+        await this.recomputeView(view);
+      }
+    }
+  }
+
+  async recomputeView(view) {
+    // A derived field whose expression writes what it reads would otherwise recompute forever
+    if (view.recomputing) {
+      return;
+    }
+    view.recomputing = true;
+    try {
+      const fieldEnv = new Environment(view.env);
+      const changed = [];
+      for (const field of view.fields) {
+        if (field.expr) {
+          const value = await this.evalExpr(field.expr, fieldEnv);
+          try {
+            this.validateType(value, field.type, view.env);
+          } catch (e) {
+            throw new Error(`View ${view.name} field ${field.name}: ${e.message}`);
+          }
+          if (!(field.name in view.values) || !isDeepStrictEqual(value, view.values[field.name])) {
+            view.values[field.name] = value;
+            changed.push(field.name);
+          }
+        }
+        // Later fields may be derived from earlier ones
+        fieldEnv.define(field.name, view.values[field.name]);
+      }
+      await this.notifyViewWatchers(view, changed);
+    } finally {
+      view.recomputing = false;
+    }
+  }
+
+  async notifyViewWatchers(view, changed) {
+    if (changed.length === 0) {
+      return;
+    }
+    for (const watcher of [...view.watchers]) {
+      await watcher({ view: view.name, changed, values: { ...view.values } });
+    }
+  }
+
+  readViewField(view, field) {
+    if (!view.fields.some(f => f.name === field)) {
+      throw new Error(`View ${view.name} has no field ${field}`);
+    }
+    return view.values[field];
+  }
+
+  async writeViewField(view, field, value) {
+    const fieldDecl = view.fields.find(f => f.name === field);
+    if (!fieldDecl) {
+      throw new Error(`View ${view.name} has no field ${field}`);
+    }
+    if (fieldDecl.expr) {
+      throw new Error(`View ${view.name} field ${field} is derived and cannot be set`);
+    }
+    try {
+      this.validateType(value, fieldDecl.type, view.env);
+    } catch (e) {
+      throw new Error(`View ${view.name} field ${field}: ${e.message}`);
+    }
+    if (!isDeepStrictEqual(value, view.values[field])) {
+      view.values[field] = value;
+      await this.notifyViewWatchers(view, [field]);
+    }
+  }
+
   async evalEntityDecl(node, env) {
+    const modes = resolveModes(node, this.shortTtl);
+    env.defineType(node.name, {
+      kind: 'EntityType',
+      name: node.name,
+      fields: node.fields.map(field => ({ name: field.name, type: field.type, ...modes[field.name] }))
+    });
     const entity = {
       type: 'Entity',
       fields: node.fields.reduce((acc, field) => {
@@ -321,67 +1098,188 @@ class Interpreter {
     for (const field of node.config) {
       config[field.type] = field.value;
     }
+    let fee = null;
+    if (config.gas) {
+      if (!Number.isInteger(config.gas.max) || config.gas.max <= 0) {
+        throw new Error(`Gas max of job ${node.name} must be a positive integer, got ${config.gas.max}`);
+      }
+      fee = parseFee(config.gas.fee);
+    }
+    const checks = node.config.filter(field => field.type === 'check').map(field => field.value);
+    const inputs = [...(config.args || []).map(arg => arg.name), ...(config.data ? config.data.entries.map(entry => entry.key) : [])];
+    for (const rule of checks) {
+      if (!inputs.includes(rule.field.split('.')[0])) {
+        throw new Error(`Job ${node.name} checks ${rule.field}, which is neither one of its args nor in its data`);
+      }
+    }
+    const run = async (input) => {
+      const jobEnv = new Environment(env);
+      for (const [name, value] of Object.entries(input)) {
+        jobEnv.define(name, value);
+      }
+      try {
+        return await this.executeBody(node.actions, jobEnv);
+      } catch (e) {
+        if (node.onError && !this.isOutOfGas(e)) {
+          const errorEnv = new Environment(jobEnv);
+          if (node.onError.errorName) {
+            errorEnv.define(node.onError.errorName, e.message);
+          }
+          return await this.executeBody(node.onError.body, errorEnv);
+        }
+        throw e;
+      }
+    };
+    const metered = async (input) => {
+      if (!config.gas) {
+        return await run(input);
+      }
+      // Nested metered jobs also count against every job that called them
+      const meter = new GasMeter(node.name, config.gas.max);
+      const result = await this.gasMeters.run([...(this.gasMeters.getStore() || []), meter], () => run(input));
+      const receipt = createReceipt(meter, fee, result);
+      this.receipts.push(receipt);
+      return { ...receipt };
+    };
     const job = {
       type: 'Job',
+      name: node.name,
       config,
       execute: async (args) => {
-        const jobEnv = new Environment(env);
-        if (config.args) {
-          config.args.forEach((arg, index) => {
-            jobEnv.define(arg.name, args[index]);
-          });
-        }
+        await this.lifecycles.ensureAlive(node.name);
+        const input = await this.jobInput(config, args, env);
+        // Checks run before the body and outside its on_error: bad input is the caller's to fix
+        runChecks(node.name, checks, field => this.readInputField(input, field, env));
+        let result;
         try {
-          return await this.executeActions(node.actions, jobEnv);
-        } catch (e) {
-          if (node.onError) {
-            const errorEnv = new Environment(jobEnv);
-            if (node.onError.errorName) {
-              errorEnv.define(node.onError.errorName, e.message);
-            }
-            return await this.executeActions(node.onError.body, errorEnv);
+          if (config.life === 'forever') {
+            // Restarts happen later, outside the gas budget of whatever job made the call that crashed
+            result = await this.lifecycles.supervise(node.name, () => metered(input), () => this.gasMeters.exit(() => metered(input)));
+          } else {
+            result = await metered(input);
           }
+        } catch (e) {
+          await this.publishOutcome('job.failed', { job: node.name, error: e.message });
           throw e;
         }
+        await this.publishOutcome('job.completed', { job: node.name });
+        return result;
       }
     };
+    const lifeField = node.config.find(field => field.type === 'life');
+    this.lifecycles.declare(node.name, config.life || null, {
+      ttl: lifeField && lifeField.ttl !== null ? lifeField.ttl : this.shortTtl,
+      onExpire: async () => {
+        // Collect the job: drop its binding and schedule so it can no longer be reached
+        if (env.bindings.get(node.name) === job) {
+          env.bindings.delete(node.name);
+        }
+        await this.scheduler.remove(node.name);
+      }
+    });
+    if (config.life === 'sacred') {
+      Object.freeze(config);
+      Object.freeze(job);
+    }
     env.define(node.name, job);
     if (config.when) {
-      this.asyncJobs.set(node.name, setTimeout(() => job.execute([]), this.parseTime(config.when)));
+      await this.scheduler.add(node.name, config.when, () => job.execute([]));
     }
     return null;
   }
 
-  parseTime(timeStr) {
-    const match = timeStr.match(/(\d+)(s|m|h|d)/);
-    if (!match) return 0;
-    const value = parseInt(match[1]);
-    const unit = match[2];
-    const multipliers = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 };
-    return value * multipliers[unit];
-  }
-
   async evalMoneyDecl(node, env) {
+    const name = node.name || 'money';
+    if (this.monies.has(name)) {
+      throw new Error(`Money ${name} is already declared`);
+    }
+    for (const rule of node.rules) {
+      if (!(rule.amount > 0)) {
+        throw new Error(`Money ${name}: ${rule.type} rule needs a positive amount`);
+      }
+    }
+    if (node.cap && !(node.cap.limit > 0)) {
+      throw new Error(`Money ${name}: cap must be positive, got ${node.cap.limit}`);
+    }
+    if (node.cap && !PERIODS.includes(node.cap.period)) {
+      throw new Error(`Money ${name}: unknown cap period ${node.cap.period}; expected ${PERIODS.join(', ')}`);
+    }
     const money = {
       type: 'Money',
+      name,
       rules: node.rules.map(rule => ({
         type: rule.type,
         box: rule.box,
         when: rule.when,
         amount: rule.amount
-      }))
+      })),
+      cap: node.cap,
+      env
     };
-    env.define('money', money);
-    for (const rule of node.rules) {
-      if (rule.when) {
-        const condition = await this.evalExpr(rule.when, env);
-        if (condition) {
-          const boxValue = await this.evalExpr(rule.box, env);
-          env.define('reward', { value: boxValue, amount: rule.amount });
+    await this.ledger.load();
+    env.define(name, money);
+    this.monies.set(name, money);
+    // Scripts record activity by emitting it: emit "activity" with { user: "alice", task: "review" };
+    if (!this.activitySubscription) {
+      this.activitySubscription = this.events.subscribe('activity', data => this.recordActivity(data));
+    }
+    return null;
+  }
+
+  // Pays every money rule the activity matches and returns the ledger entries posted
+  async recordActivity(activity) {
+    const fields = this.isBox(activity) ? activity.value : activity;
+    if (!fields || typeof fields !== 'object' || typeof fields.user !== 'string') {
+      throw new Error('Activity needs a user to credit');
+    }
+    return await this.ledger.exclusive(async () => {
+      const posted = [];
+      for (const money of this.monies.values()) {
+        for (const rule of money.rules) {
+          if (await this.matchesMoneyRule(rule, fields, money.env)) {
+            const entry = await this.payMoneyRule(money, rule, fields);
+            if (entry) {
+              posted.push(entry);
+            }
+          }
         }
       }
+      return posted;
+    });
+  }
+
+  // Pattern values and the when condition see the activity's fields as variables
+  async matchesMoneyRule(rule, fields, env) {
+    const activityEnv = new Environment(env);
+    for (const [key, value] of Object.entries(fields)) {
+      activityEnv.define(key, value);
     }
-    return null;
+    for (const entry of rule.box.entries) {
+      if (!isDeepStrictEqual(fields[entry.key], await this.evalExpr(entry.value, activityEnv))) {
+        return false;
+      }
+    }
+    return !rule.when || Boolean(await this.evalExpr(rule.when, activityEnv));
+  }
+
+  async payMoneyRule(money, rule, fields) {
+    const account = `user:${fields.user}`;
+    let amount = rule.amount;
+    if (money.cap) {
+      const since = periodStart(money.cap.period, this.now());
+      const paid = await this.ledger.creditedSince(account, since, memo => memo.money === money.name);
+      amount = Math.min(amount, money.cap.limit - paid);
+      if (amount <= 0) {
+        return null;
+      }
+    }
+    return await this.ledger.post({
+      debit: `${rule.type}:${money.name}`,
+      credit: account,
+      amount,
+      at: this.now(),
+      memo: { money: money.name, rule: rule.type, activity: this.snapshot(fields), capped: amount < rule.amount }
+    });
   }
 
   async evalPromiseDecl(node, env) {
@@ -395,8 +1293,10 @@ class Interpreter {
     if (node.check) {
       const valid = await this.evalExpr(node.check, env);
       if (!valid) {
+        await this.publishOutcome('promise.failed', { promise: node.name, jobs: node.binds || [] });
         throw new Error(`Promise check failed for ${node.name}`);
       }
+      await this.publishOutcome('promise.kept', { promise: node.name, jobs: node.binds || [] });
     }
     if (node.enforce) {
       await this.executeActions(node.enforce, env);
@@ -406,29 +1306,131 @@ class Interpreter {
   }
 
   async evalReputationDecl(node, env) {
-    env.define(node.name, { type: 'Reputation', user: node.user, score: node.score });
+    if (this.reputations.has(node.name)) {
+      throw new Error(`Reputation ${node.name} is already declared`);
+    }
+    const weights = {};
+    for (const { kind, weight } of node.weights) {
+      weights[kind] = await this.evalExpr(weight, env);
+    }
+    const optional = async expr => (expr ? await this.evalExpr(expr, env) : null);
+    const base = await optional(node.base);
+    const reputation = new Reputation(node.name, {
+      weights,
+      halfLife: node.decay ? parseDuration(node.decay) : null,
+      base: base !== null ? base : 0,
+      min: await optional(node.min),
+      max: await optional(node.max),
+      storage: this.storage
+    });
+    await reputation.load();
+    // A declared user: score is where that user starts, recorded once as evidence of its own
+    if (node.user !== null && !reputation.evidence.has(node.user)) {
+      const score = await this.evalExpr(node.score, env);
+      await reputation.record(node.user, 'declared', { at: this.now(), weight: score - reputation.base });
+    }
+    env.define(node.name, reputation);
+    this.reputations.set(node.name, reputation);
+    if (Object.keys(weights).length > 0) {
+      this.events.subscribe(Object.keys(weights), (data, topic) => this.recordReputationEvent(reputation, topic, data));
+    }
     return null;
   }
 
+  // Events count as evidence about the user in their data; events about no one are skipped
+  async recordReputationEvent(reputation, topic, data) {
+    const fields = this.isBox(data) ? data.value : data;
+    if (!fields || typeof fields !== 'object' || typeof fields.user !== 'string') {
+      return;
+    }
+    await reputation.record(fields.user, topic, { at: this.now(), detail: this.snapshot(fields) });
+  }
+
+  // Tells reputations and other subscribers how something the acting principal did turned out
+  async publishOutcome(topic, detail) {
+    await this.emitEvent(topic, { user: this.principal, ...detail });
+  }
+
   async evalConsensusDecl(node, env) {
-    const consensus = {
-      type: 'Consensus',
-      threshold: node.threshold,
-      voters: node.voters,
-      execute: async () => {
-        const votes = await this.collectVotes(node.voters, env);
-        if (votes.length >= node.threshold) {
-          return await this.executeActions(node.actions, env);
-        }
-        throw new Error(`Consensus failed: ${votes.length} votes < ${node.threshold}`);
+    if (this.proposals.has(node.name)) {
+      throw new Error(`Consensus ${node.name} is already open`);
+    }
+    const reputationOf = name => {
+      const reputation = env.get(name);
+      if (!(reputation instanceof Reputation)) {
+        throw new Error(`${name} is not a reputation`);
       }
+      return reputation;
     };
-    env.define(node.name, consensus);
+    const weight = node.weight ? reputationOf(node.weight) : null;
+    const eligibility = node.reputation ? reputationOf(node.reputation.name) : null;
+    const min = node.reputation && node.reputation.min ? await this.evalExpr(node.reputation.min, env) : eligibility && eligibility.base;
+    const now = this.now();
+    const proposal = new Proposal(node.name, {
+      voters: node.voters,
+      threshold: node.threshold,
+      quorum: node.quorum,
+      deadline: node.deadline ? this.deadlineOf(node.deadline, now) : null,
+      openedAt: now,
+      // A ballot weighs the voter's score when it is cast; a negative score carries no weight
+      weightOf: voter => (weight ? Math.max(0, weight.score(voter, this.now())) : 1),
+      isEligible: voter => !eligibility || eligibility.score(voter, this.now()) >= min,
+      keyOf: voter => this.voterKey(node.name, voter, env),
+      storage: this.storage,
+      onDecide: status => this.decideConsensus(proposal, status, node.actions, env)
+    });
+    // A proposal persisted by an earlier run keeps its ballots and is never decided twice
+    await proposal.load();
+    env.define(node.name, proposal);
+    this.proposals.set(node.name, proposal);
+    if (proposal.status === 'open' && proposal.deadline !== null) {
+      const close = () => proposal.settle(true, this.now());
+      if (now >= proposal.deadline) {
+        await close();
+      } else {
+        // Set on the scheduler so --wait holds the process open until the deadline
+        this.scheduler.setTimer(() => close().catch(e => {
+          this.auditLog.push({ event: 'consensus', proposal: proposal.name, status: proposal.status, error: e.message, at: new Date(this.now()) });
+        }), proposal.deadline - now);
+      }
+    }
     return null;
   }
 
-  async collectVotes(voters, env) {
-    return voters;
+  deadlineOf(text, now) {
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+      const time = Date.parse(text);
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid deadline ${text}; expected a duration such as 2d or an ISO time`);
+      }
+      return time;
+    }
+    return now + parseDuration(text);
+  }
+
+  // A voter signs with the key pair or public key bound to their name where the consensus is declared
+  voterKey(proposal, voter, env) {
+    const key = env.has(voter) ? env.get(voter) : null;
+    if (!(key && key.type === 'KeyPair') && !(typeof key === 'string' && /^(0x)?[0-9a-fA-F]{64}$/.test(key))) {
+      throw new Error(`Voter ${voter} on ${proposal} has no key; bind ${voter} to a key pair or public key`);
+    }
+    return key;
+  }
+
+  // Failed actions do not undo a decision; they are audited, as a crash would leave them
+  async decideConsensus(proposal, status, actions, env) {
+    const { yes, no, abstain, ballots } = proposal.tally();
+    const decision = { proposal: proposal.name, yes, no, abstain, ballots };
+    let error = null;
+    if (status === 'passed') {
+      try {
+        await this.executeBody(actions, env);
+      } catch (e) {
+        error = e.message;
+      }
+    }
+    this.auditLog.push({ event: 'consensus', ...decision, status, error, at: new Date(this.now()) });
+    await this.emitEvent(`consensus.${status}`, decision);
   }
 
   async evalShareDecl(node, env) {
@@ -442,7 +1444,7 @@ class Interpreter {
   }
 
   async evalAllowDecl(node, env) {
-    env.define(node.name, { type: 'Allow', permission: node.permission, target: node.target });
+    env.definePermission(node.name, node.permission, node.target);
     return null;
   }
 
@@ -450,7 +1452,7 @@ class Interpreter {
     const bridge = {
       type: 'Bridge',
       target: node.target,
-      execute: async () => await this.executeActions(node.actions, env)
+      execute: async () => await this.executeBody(node.actions, env)
     };
     env.define(node.name, bridge);
     return null;
@@ -465,6 +1467,101 @@ class Interpreter {
     return await this.evalExpr(node.expr, env);
   }
 
+  async evalBringDecl(node, env) {
+    const file = this.resolveModulePath(node);
+    const moduleEnv = await this.loadModule(file);
+    if (node.path) {
+      this.bindPublicPacks(moduleEnv, env);
+      return null;
+    }
+    const qualified = node.name.join('.');
+    let target = { type: 'Namespace', env: moduleEnv };
+    for (const segment of node.name) {
+      if (!target.env.bindings.has(segment)) {
+        throw new Error(`Module ${this.displayPath(file)} has no ${qualified}`);
+      }
+      target = target.env.bindings.get(segment);
+      if (!target || !['Namespace', 'Pack'].includes(target.type)) {
+        throw new Error(`${qualified} is not a namespace or pack`);
+      }
+    }
+    if (target.type === 'Namespace') {
+      this.bindPublicPacks(target.env, env);
+    } else if (target.tags.includes('public')) {
+      this.bindPackMembers(target, env);
+    } else {
+      throw new Error(`Pack ${qualified} is not public`);
+    }
+    return null;
+  }
+
+  resolveModulePath(node) {
+    if (!node.path) {
+      // `bring a.b.c;` names a path inside the module a.lov at the project root
+      return path.join(this.root, `${node.name[0]}.lov`);
+    }
+    if (path.extname(node.path).toLowerCase() !== '.lov') {
+      throw new Error(`Cannot bring ${node.path}: modules must have a .lov extension`);
+    }
+    const importer = this.moduleStack[this.moduleStack.length - 1];
+    const relative = node.path.startsWith('./') || node.path.startsWith('../');
+    return path.resolve(relative && importer ? path.dirname(importer) : this.root, node.path);
+  }
+
+  async loadModule(file) {
+    if (this.modules.has(file)) {
+      return this.modules.get(file);
+    }
+    if (this.moduleStack.includes(file)) {
+      const cycle = [...this.moduleStack.slice(this.moduleStack.indexOf(file)), file];
+      throw new Error(`Import cycle: ${cycle.map(item => this.displayPath(item)).join(' -> ')}`);
+    }
+    let source;
+    try {
+      source = await fs.readFile(file, 'utf8');
+    } catch (e) {
+      throw new Error(`Cannot find module ${this.displayPath(file)}`);
+    }
+    const ast = new Parser(new Tokenizer(source).tokenize()).parseProgram();
+    const moduleEnv = new Environment(this.preludeEnv);
+    this.moduleStack.push(file);
+    try {
+      await this.runProgram(ast, moduleEnv);
+    } finally {
+      this.moduleStack.pop();
+    }
+    this.modules.set(file, moduleEnv);
+    return moduleEnv;
+  }
+
+  displayPath(file) {
+    return path.relative(this.root, file) || file;
+  }
+
+  bindPublicPacks(scope, env) {
+    for (const value of scope.bindings.values()) {
+      if (value && value.type === 'Pack' && value.tags.includes('public')) {
+        this.bindPackMembers(value, env);
+      } else if (value && value.type === 'Namespace') {
+        this.bindPublicPacks(value.env, env);
+      }
+    }
+  }
+
+  bindPackMembers(pack, env) {
+    // Bringing the same pack twice is a no-op; a different member with the same name still clashes
+    for (const [name, value] of pack.env.bindings) {
+      if (!pack.visibility.has(name) && env.bindings.get(name) !== value) {
+        env.define(name, value);
+      }
+    }
+    for (const [name, type] of pack.env.types) {
+      if (!pack.visibility.has(name) && env.types.get(name) !== type) {
+        env.defineType(name, type);
+      }
+    }
+  }
+
   async evalTargetDecl(node, env) {
     env.define('target', node.target);
     return null;
@@ -512,10 +1609,93 @@ class Interpreter {
     return null;
   }
 
+  async evalCovenantDecl(node, env) {
+    if (this.covenants.has(node.name)) {
+      throw new Error(`Covenant ${node.name} already declared`);
+    }
+    this.covenants.set(node.name, { name: node.name, fields: await this.evalMetadataFields(node.fields, env) });
+    return null;
+  }
+
+  async evalManifestDecl(node, env) {
+    if (this.manifest) {
+      throw new Error('Manifest already declared');
+    }
+    const manifest = await this.evalMetadataFields(node.fields, env);
+    if ('born' in manifest) {
+      const born = new Date(manifest.born);
+      if ((typeof manifest.born !== 'string' && !(manifest.born instanceof Date)) || isNaN(born.getTime())) {
+        throw new Error(`Manifest born must be a time, got ${manifest.born}`);
+      }
+      manifest.born = born;
+    }
+    this.manifest = manifest;
+    return null;
+  }
+
+  async evalMetadataFields(fields, env) {
+    const values = {};
+    for (const field of fields) {
+      if (field.name in values) {
+        throw new Error(`Field ${field.name} given more than once`);
+      }
+      values[field.name] = await this.evalExpr(field.value, env);
+    }
+    return values;
+  }
+
+  async evalRitualDecl(node, env) {
+    if (this.rituals.has(node.name)) {
+      throw new Error(`Ritual ${node.name} already declared`);
+    }
+    const oath = await this.evalExpr(node.oath, env);
+    if (typeof oath !== 'string') {
+      throw new Error(`Oath of ritual ${node.name} must be text, got ${typeof oath}`);
+    }
+    // Seals keep their hex digits rather than being read as a number
+    const seal = !node.seal ? null : node.seal.type === 'Hex' ? node.seal.value : await this.evalExpr(node.seal, env);
+    const ritual = {
+      type: 'Ritual',
+      name: node.name,
+      tags: node.tags,
+      binds: node.binds,
+      oath,
+      seal,
+      execute: async (agents) => {
+        if (agents.length !== node.binds.length) {
+          throw new Error(`Ritual ${node.name} binds ${node.binds.length} agents, got ${agents.length}`);
+        }
+        if (!ritual.seal) {
+          throw new Error(`Ritual ${node.name} is not sealed`);
+        }
+        if (!verifyRitualSeal(node.name, oath, agents, ritual.seal)) {
+          throw new Error(`Seal of ritual ${node.name} does not verify for the bound agents`);
+        }
+        const ritualEnv = new Environment(env);
+        node.binds.forEach((agent, index) => ritualEnv.define(agent, agents[index]));
+        try {
+          return await this.executeBody(node.body, ritualEnv);
+        } catch (e) {
+          if (!node.onError || this.isOutOfGas(e)) {
+            throw e;
+          }
+          const errorEnv = new Environment(ritualEnv);
+          if (node.onError.errorName) {
+            errorEnv.define(node.onError.errorName, e.message);
+          }
+          return await this.executeBody(node.onError.body, errorEnv);
+        }
+      }
+    };
+    env.define(node.name, ritual);
+    this.rituals.set(node.name, ritual);
+    return null;
+  }
+
   async evalTestCase(node, env) {
     const testEnv = new Environment(env);
     try {
-      await this.executeActions(node.actions, testEnv);
+      await this.executeBody(node.actions, testEnv);
       for (const expect of node.expects) {
         if (expect.type === 'ExpectExpr') {
           const left = await this.evalExpr(expect.left, testEnv);
@@ -529,6 +1709,9 @@ class Interpreter {
       console.log(`Test ${node.name} passed`);
       return true;
     } catch (e) {
+      if (this.isOutOfGas(e)) {
+        throw e;
+      }
       if (node.expects.some(exp => exp.type === 'ExpectError' && exp.errorName === e.message)) {
         console.log(`Test ${node.name} passed (expected error)`);
         return true;
@@ -538,7 +1721,7 @@ class Interpreter {
         if (node.onError.errorName) {
           errorEnv.define(node.onError.errorName, e.message);
         }
-        await this.executeActions(node.onError.body, errorEnv);
+        await this.executeBody(node.onError.body, errorEnv);
         return true;
       }
       console.error(`Test ${node.name} failed: ${e.message}`);
@@ -547,6 +1730,7 @@ class Interpreter {
   }
 
   async evalExpr(node, env) {
+    this.chargeGas(node);
     switch (node.type) {
       case 'Number':
         return node.value;
@@ -559,7 +1743,19 @@ class Interpreter {
       case 'Literal':
         return node.value;
       case 'Identifier':
+        this.checkPermission('read', node.value, env);
         return env.get(node.value);
+      case 'DequeueExpr':
+        return await this.evalDequeueExpr(node, env);
+      case 'ManifestExpr':
+        if (!this.manifest) {
+          throw new Error('No manifest declared');
+        }
+        return this.manifest;
+      case 'MemberExpr':
+        return await this.evalMemberExpr(node, env);
+      case 'IndexExpr':
+        return await this.evalIndexExpr(node, env);
       case 'BinaryExpr':
         return await this.evalBinaryExpr(node, env);
       case 'NotExpr':
@@ -582,6 +1778,8 @@ class Interpreter {
         return await this.evalThrowExpr(node, env);
       case 'QueryExpr':
         return await this.evalQueryExpr(node, env);
+      case 'AskExpr':
+        return await this.evalAskAction(node, env);
       default:
         throw new Error(`Unknown expression type: ${node.type}`);
     }
@@ -590,6 +1788,9 @@ class Interpreter {
   async evalBinaryExpr(node, env) {
     const left = await this.evalExpr(node.left, env);
     const right = await this.evalExpr(node.right, env);
+    if (node.custom) {
+      return await env.get(`op ${node.op}`).execute([left, right]);
+    }
     switch (node.op) {
       case '&&':
         return left && right;
@@ -634,12 +1835,19 @@ class Interpreter {
   }
 
   async evalCall(node, env) {
-    const fn = env.get(node.name);
-    if (fn && fn.type === 'Job') {
+    this.checkPermission('run', node.name || node.callee.field, env);
+    const fn = node.callee ? await this.evalExpr(node.callee, env) : env.get(node.name);
+    if (fn && fn.type === 'Guard') {
+      if (node.args.length !== 1) {
+        throw new Error(`Guard ${node.name || node.callee.field} checks one value, got ${node.args.length}`);
+      }
+      return Boolean(await fn.check(await this.evalExpr(node.args[0], env)));
+    }
+    if (fn && ['Job', 'Function', 'Ritual'].includes(fn.type)) {
       const args = await Promise.all(node.args.map(arg => this.evalExpr(arg, env)));
       return await fn.execute(args);
     }
-    throw new Error(`Function ${node.name} not found or not callable`);
+    throw new Error(`Function ${node.name || node.callee.field} not found or not callable`);
   }
 
   async evalDictExpr(node, env) {
@@ -655,11 +1863,234 @@ class Interpreter {
   }
 
   async evalBoxExpr(node, env) {
-    const box = {};
+    const entityType = this.findEntityType(node.name, env);
+    if (entityType) {
+      const values = {};
+      for (const entry of node.entries) {
+        values[entry.key] = await this.evalExpr(entry.value, env);
+      }
+      return this.buildEntity(entityType, values, env);
+    }
+    const box = { type: node.name, value: {} };
     for (const entry of node.entries) {
-      box[entry.key] = await this.evalExpr(entry.value, env);
+      this.writeBoxField(box, entry.key, await this.evalExpr(entry.value, env), env);
+    }
+    const boxType = this.findBoxType(node.name, env);
+    if (boxType) {
+      for (const field of boxType.fields) {
+        if (!(field.name in box.value) && field.defaultValue) {
+          const defaultExpr = field.defaultValue.type === 'ActiveExpr' ? field.defaultValue.value : field.defaultValue;
+          this.writeBoxField(box, field.name, await this.evalExpr(defaultExpr, env), env);
+        }
+      }
+    }
+    return box;
+  }
+
+  async evalMemberExpr(node, env) {
+    const object = await this.evalExpr(node.object, env);
+    return this.readMember(object, node.field, env);
+  }
+
+  async evalIndexExpr(node, env) {
+    const object = await this.evalExpr(node.object, env);
+    const index = await this.evalExpr(node.index, env);
+    return this.readMember(object, index, env);
+  }
+
+  isBox(value) {
+    return value !== null && typeof value === 'object' && typeof value.type === 'string' &&
+      value.value !== null && typeof value.value === 'object' && !Array.isArray(value.value) &&
+      Object.keys(value).length === 2;
+  }
+
+  findBoxType(name, env) {
+    try {
+      const typeInfo = env.getType(name);
+      return typeInfo.kind === 'BoxType' ? typeInfo : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  readMember(object, key, env) {
+    if (object === null || object === undefined) {
+      throw new Error(`Cannot read ${key} of null`);
+    }
+    if (Array.isArray(object) || typeof object === 'string') {
+      return object[this.checkIndex(object, key)];
+    }
+    if (object.type === 'Namespace' || object.type === 'Pack') {
+      return this.readContainerMember(object, key, env);
+    }
+    if (object.type === 'View') {
+      return this.readViewField(object, key);
+    }
+    // trust.alice or trust[member] reads a user's current score
+    if (object instanceof Reputation) {
+      return object.score(String(key), this.now());
+    }
+    if (object instanceof Proposal) {
+      const description = object.describe();
+      return Object.prototype.hasOwnProperty.call(description, key) ? description[key] : null;
+    }
+    if (this.isBox(object) && this.findEntityType(object.type, env)) {
+      return this.readEntityField(object, this.findEntityType(object.type, env), key);
+    }
+    if (this.isBox(object)) {
+      const boxType = this.findBoxType(object.type, env);
+      if (boxType && !boxType.fields.some(field => field.name === key)) {
+        throw new Error(`Box ${object.type} has no field ${key}`);
+      }
+      return Object.prototype.hasOwnProperty.call(object.value, key) ? object.value[key] : null;
+    }
+    if (typeof object === 'object') {
+      return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : null;
+    }
+    throw new Error(`Cannot read ${key} of ${typeof object}`);
+  }
+
+  writeMember(object, key, value, env) {
+    if (object && (object.type === 'Namespace' || object.type === 'Pack')) {
+      this.checkMemberVisible(object, key, env);
+      this.checkPermission('write', key, object.env);
+      object.env.assign(key, value);
+    } else if (Array.isArray(object)) {
+      object[this.checkIndex(object, key)] = value;
+    } else if (this.isBox(object) && this.findEntityType(object.type, env)) {
+      this.writeEntityField(object, this.findEntityType(object.type, env), key, value, env, false);
+    } else if (this.isBox(object)) {
+      this.writeBoxField(object, key, value, env);
+    } else if (object !== null && typeof object === 'object') {
+      object[key] = value;
+    } else {
+      throw new Error(`Cannot assign ${key} on ${object === null ? 'null' : typeof object}`);
+    }
+  }
+
+  // set vault.config.limit = 1 changes the config member of vault, so it needs write permission on
+  // config where vault binds it; the member written last is checked by writeMember
+  async checkContainerWrites(target, root, env) {
+    const path = [];
+    for (let current = target.object; current !== root; current = current.object) {
+      path.unshift(current);
+    }
+    let container = await this.evalExpr(root, env);
+    for (const member of path) {
+      if (!container || !['Namespace', 'Pack'].includes(container.type) || member.type !== 'MemberExpr') {
+        return;
+      }
+      this.checkPermission('write', member.field, container.env);
+      container = this.readContainerMember(container, member.field, env);
+    }
+  }
+
+  writeBoxField(box, field, value, env) {
+    const boxType = this.findBoxType(box.type, env);
+    if (boxType) {
+      const fieldDecl = boxType.fields.find(f => f.name === field);
+      if (!fieldDecl) {
+        throw new Error(`Box ${box.type} has no field ${field}`);
+      }
+      try {
+        this.validateType(value, fieldDecl.type, env);
+      } catch (e) {
+        throw new Error(`Field ${box.type}.${field}: ${e.message}`);
+      }
+    }
+    box.value[field] = value;
+  }
+
+  findEntityType(name, env) {
+    return env.hasType(name) && env.getType(name).kind === 'EntityType' ? env.getType(name) : null;
+  }
+
+  entityTypeOf(instance) {
+    const entityType = this.isBox(instance) ? this.findEntityType(instance.type, this.globalEnv) : null;
+    if (!entityType) {
+      throw new Error('Expected an entity instance');
+    }
+    return entityType;
+  }
+
+  entityState(instance) {
+    if (!this.entityStates.has(instance)) {
+      this.entityStates.set(instance, { expires: {}, history: [] });
+    }
+    return this.entityStates.get(instance);
+  }
+
+  buildEntity(entityType, values, env) {
+    const instance = { type: entityType.name, value: {} };
+    for (const [field, value] of Object.entries(values)) {
+      this.writeEntityField(instance, entityType, field, value, env, true);
+    }
+    return instance;
+  }
+
+  readEntityField(instance, entityType, field) {
+    if (!entityType.fields.some(f => f.name === field)) {
+      throw new Error(`Entity ${entityType.name} has no field ${field}`);
+    }
+    this.expireEntityFields(instance, entityType);
+    return Object.prototype.hasOwnProperty.call(instance.value, field) ? instance.value[field] : null;
+  }
+
+  writeEntityField(instance, entityType, field, value, env, creating) {
+    const fieldDecl = entityType.fields.find(f => f.name === field);
+    if (!fieldDecl) {
+      throw new Error(`Entity ${entityType.name} has no field ${field}`);
+    }
+    if (fieldDecl.fixed && !creating) {
+      throw new Error(`Field ${entityType.name}.${field} is fixed and cannot change after creation`);
+    }
+    try {
+      this.validateType(value, fieldDecl.type, env);
+    } catch (e) {
+      throw new Error(`Field ${entityType.name}.${field}: ${e.message}`);
+    }
+    const from = creating ? null : this.readEntityField(instance, entityType, field);
+    const state = this.entityState(instance);
+    instance.value[field] = value;
+    if (fieldDecl.ttl !== null) {
+      state.expires[field] = this.now() + fieldDecl.ttl * 1000;
+    }
+    if (fieldDecl.tracked) {
+      appendChange(state.history, {
+        field, from: this.snapshot(from), to: this.snapshot(value), at: new Date(this.now()), by: this.principal
+      });
+    }
+  }
+
+  // Short values are dropped lazily, the first time the instance is looked at after they expire
+  expireEntityFields(instance, entityType) {
+    const state = this.entityState(instance);
+    for (const [field, expires] of Object.entries(state.expires)) {
+      if (expires > this.now()) {
+        continue;
+      }
+      const from = instance.value[field];
+      delete instance.value[field];
+      delete state.expires[field];
+      if (entityType.fields.find(f => f.name === field).tracked) {
+        appendChange(state.history, { field, from: this.snapshot(from), to: null, at: new Date(expires), by: null });
+      }
+    }
+  }
+
+  // Tracked history keeps its own copy so later changes to a shared value cannot break the hash chain
+  snapshot(value) {
+    return value !== null && typeof value === 'object' ? structuredClone(value) : value;
+  }
+
+  checkIndex(list, index) {
+    if (!Number.isInteger(index)) {
+      throw new Error(`Index must be an integer, got ${index}`);
     }
-    return { type: node.name, value: box };
+    if (index < 0 || index >= list.length) {
+      throw new Error(`Index ${index} out of bounds for length ${list.length}`);
+    }
+    return index;
   }
 
   async evalGroupExpr(node, env) {
@@ -698,7 +2129,21 @@ class Interpreter {
   }
 
   async evalQueryExpr(node, env) {
-    return { query: node.query, type: node.type };
+    let value;
+    if (node.query.endsWith('*')) {
+      // A trailing * recalls every value whose key starts with the prefix, in key order
+      const prefix = node.query.slice(0, -1);
+      const keys = (await this.storage.keys()).filter(key => key.startsWith(prefix)).sort();
+      value = await Promise.all(keys.map(key => this.storage.get(key)));
+    } else {
+      value = await this.storage.get(node.query);
+    }
+    try {
+      this.validateType(value, node.returnType, env);
+    } catch (e) {
+      throw new Error(`Recall ${node.query}: ${e.message}`);
+    }
+    return value;
   }
 
   async executeActions(actions, env) {
@@ -709,10 +2154,38 @@ class Interpreter {
     return result;
   }
 
+  async executeBody(actions, env) {
+    try {
+      return await this.executeActions(actions, env);
+    } catch (e) {
+      if (e instanceof ReturnSignal) {
+        return e.value;
+      }
+      if (e instanceof BreakSignal || e instanceof ContinueSignal) {
+        throw new Error(`${e instanceof BreakSignal ? 'break' : 'continue'} used outside of a loop`);
+      }
+      throw e;
+    }
+  }
+
+  async executeLoopBody(node, env) {
+    try {
+      return { result: await this.executeActions(node.body, env), stop: false };
+    } catch (e) {
+      if ((e instanceof BreakSignal || e instanceof ContinueSignal) && (!e.label || e.label === node.label)) {
+        return { result: null, stop: e instanceof BreakSignal };
+      }
+      throw e;
+    }
+  }
+
   async evalAction(node, env) {
+    this.chargeGas(node);
     switch (node.type) {
       case 'SetAction':
         return await this.evalSetAction(node, env);
+      case 'SetBoxAction':
+        return await this.evalSetBoxAction(node, env);
       case 'IfAction':
         return await this.evalIfAction(node, env);
       case 'LoopAction':
@@ -725,6 +2198,10 @@ class Interpreter {
         return await this.evalTryAction(node, env);
       case 'ReturnAction':
         return await this.evalReturnAction(node, env);
+      case 'BreakAction':
+        throw new BreakSignal(node.label);
+      case 'ContinueAction':
+        throw new ContinueSignal(node.label);
       case 'SayAction':
         return await this.evalSayAction(node, env);
       case 'CheckAction':
@@ -739,6 +2216,8 @@ class Interpreter {
         return await this.evalSocketAction(node, env);
       case 'SubscribeAction':
         return await this.evalSubscribeAction(node, env);
+      case 'UnsubscribeAction':
+        return await this.evalUnsubscribeAction(node, env);
       case 'AuditAction':
         return await this.evalAuditAction(node, env);
       case 'HashAction':
@@ -755,6 +2234,19 @@ class Interpreter {
         return await this.evalWaitAction(node, env);
       case 'AskAction':
         return await this.evalAskAction(node, env);
+      case 'EnqueueAction':
+        return await this.evalEnqueueAction(node, env);
+      case 'ConsumeAction':
+        return await this.evalConsumeAction(node, env);
+      case 'EmitAction':
+        return await this.evalEmitAction(node, env);
+      case 'VoteAction':
+        return await this.evalVoteAction(node, env);
+      case 'SealAction':
+        return await this.evalSealAction(node, env);
+      case 'LineNote':
+      case 'BlockNote':
+        return null;
       default:
         throw new Error(`Unknown action type: ${node.type}`);
     }
@@ -762,9 +2254,31 @@ class Interpreter {
 
   async evalSetAction(node, env) {
     const value = await this.evalExpr(node.value, env);
-    if (node.target.type === 'Name') {
+    if (node.target.type === 'MemberExpr' || node.target.type === 'IndexExpr') {
+      let root = node.target;
+      while (root.type === 'MemberExpr' || root.type === 'IndexExpr') {
+        root = root.object;
+      }
+      this.checkPermission('write', root.value, env);
+      await this.checkContainerWrites(node.target, root, env);
+      const object = await this.evalExpr(node.target.object, env);
+      const key = node.target.type === 'MemberExpr' ? node.target.field : await this.evalExpr(node.target.index, env);
+      if (object && object.type === 'View') {
+        await this.writeViewField(object, key, value);
+      } else {
+        this.writeMember(object, key, value, env);
+      }
+      await this.notifyChange(root.value);
+    } else if (node.target.type === 'Name') {
+      this.checkPermission('write', node.target.value, env);
+      this.checkReplaceable(node.target.value, env);
       env.assign(node.target.value, value);
+      await this.notifyChange(node.target.value);
     } else {
+      node.target.names.forEach(name => {
+        this.checkPermission('write', name, env);
+        this.checkReplaceable(name, env);
+      });
       if (!Array.isArray(value)) {
         throw new Error(`Expected array for destructuring, got ${typeof value}`);
       }
@@ -779,6 +2293,18 @@ class Interpreter {
     return value;
   }
 
+  async evalSetBoxAction(node, env) {
+    const box = env.get(node.name);
+    if (!this.isBox(box) || box.type !== node.box.name) {
+      throw new Error(`${node.name} is not a box of type ${node.box.name}`);
+    }
+    for (const entry of node.box.entries) {
+      this.writeBoxField(box, entry.key, await this.evalExpr(entry.value, env), env);
+    }
+    await this.notifyChange(node.name);
+    return box;
+  }
+
   async evalIfAction(node, env) {
     const condition = await this.evalExpr(node.condition, env);
     try {
@@ -788,7 +2314,7 @@ class Interpreter {
         return await this.executeActions(node.elseBranch, env);
       }
     } catch (e) {
-      if (node.onError) {
+      if (node.onError && !(e instanceof ControlSignal) && !this.isOutOfGas(e)) {
         const errorEnv = new Environment(env);
         if (node.onError.errorName) {
           errorEnv.define(node.onError.errorName, e.message);
@@ -801,23 +2327,32 @@ class Interpreter {
   }
 
   async evalLoopAction(node, env) {
-    const start = await this.evalExpr(node.range.start, env);
-    const end = await this.evalExpr(node.range.end, env);
+    const items = node.range
+      ? await this.evalRange(node.range, env)
+      : this.toIterable(await this.evalExpr(node.iterable, env));
     let result = null;
     try {
-      for (let i = start; i <= end; i++) {
+      for (const item of items) {
         const loopEnv = new Environment(env);
         if (node.target.type === 'Name') {
-          loopEnv.define(node.target.value, i);
+          loopEnv.define(node.target.value, item);
         } else {
+          const values = Array.isArray(item) ? item : [item];
+          if (values.length < node.target.names.length) {
+            throw new Error(`Not enough values to destructure at ${node.target.names[values.length]}`);
+          }
           node.target.names.forEach((name, index) => {
-            loopEnv.define(name, [i][index]);
+            loopEnv.define(name, values[index]);
           });
         }
-        result = await this.executeActions(node.body, loopEnv);
+        const iteration = await this.executeLoopBody(node, loopEnv);
+        result = iteration.result;
+        if (iteration.stop) {
+          break;
+        }
       }
     } catch (e) {
-      if (node.onError) {
+      if (node.onError && !(e instanceof ControlSignal) && !this.isOutOfGas(e)) {
         const errorEnv = new Environment(env);
         if (node.onError.errorName) {
           errorEnv.define(node.onError.errorName, e.message);
@@ -829,14 +2364,51 @@ class Interpreter {
     return result;
   }
 
+  async evalRange(range, env) {
+    const start = await this.evalExpr(range.start, env);
+    const end = await this.evalExpr(range.end, env);
+    const step = range.step ? await this.evalExpr(range.step, env) : 1;
+    if (typeof start !== 'number' || typeof end !== 'number' || typeof step !== 'number') {
+      throw new Error(`Range bounds and step must be numbers, got ${typeof start} .. ${typeof end} by ${typeof step}`);
+    }
+    if (step === 0) {
+      throw new Error('Range step cannot be 0');
+    }
+    return (function* () {
+      for (let i = start; step > 0 ? i < end || (!range.exclusive && i === end) : i > end || (!range.exclusive && i === end); i += step) {
+        yield i;
+      }
+    })();
+  }
+
+  toIterable(value) {
+    if (Array.isArray(value) || typeof value === 'string') {
+      return Array.from(value);
+    }
+    if (value && value.type === 'Queue' && Array.isArray(value.queue)) {
+      return [...value.queue];
+    }
+    if (value instanceof Map) {
+      return [...value.entries()];
+    }
+    if (value && typeof value === 'object') {
+      return Object.entries(value);
+    }
+    throw new Error(`Cannot iterate over ${value === null ? 'null' : typeof value}`);
+  }
+
   async evalWhileAction(node, env) {
     let result = null;
     try {
       while (await this.evalExpr(node.condition, env)) {
-        result = await this.executeActions(node.body, env);
+        const iteration = await this.executeLoopBody(node, env);
+        result = iteration.result;
+        if (iteration.stop) {
+          break;
+        }
       }
     } catch (e) {
-      if (node.onError) {
+      if (node.onError && !(e instanceof ControlSignal) && !this.isOutOfGas(e)) {
         const errorEnv = new Environment(env);
         if (node.onError.errorName) {
           errorEnv.define(node.onError.errorName, e.message);
@@ -883,7 +2455,7 @@ class Interpreter {
         }
       }
     } catch (e) {
-      if (node.onError) {
+      if (node.onError && !(e instanceof ControlSignal) && !this.isOutOfGas(e)) {
         const errorEnv = new Environment(env);
         if (node.onError.errorName) {
           errorEnv.define(node.onError.errorName, e.message);
@@ -899,30 +2471,25 @@ class Interpreter {
     try {
       return await this.executeActions(node.tryBlock, env);
     } catch (e) {
-      if (node.catchBlock) {
-        const catchEnv = new Environment(env);
-        catchEnv.define(node.catchBlock.name, e.message);
-        await this.executeActions(node.catchBlock.actions, catchEnv);
+      if (!node.catchBlock || e instanceof ControlSignal || this.isOutOfGas(e)) {
+        throw e;
       }
+      const catchEnv = new Environment(env);
+      catchEnv.define(node.catchBlock.name, e.message);
+      return await this.executeActions(node.catchBlock.actions, catchEnv);
+    } finally {
       if (node.finallyBlock) {
         await this.executeActions(node.finallyBlock, env);
       }
-      if (!node.catchBlock) {
-        throw e;
-      }
-    }
-    if (node.finallyBlock) {
-      await this.executeActions(node.finallyBlock, env);
     }
-    return null;
   }
 
   async evalReturnAction(node, env) {
     const value = await this.evalExpr(node.value, env);
-    if (node.type) {
-      this.validateType(value, node.type, env);
+    if (node.returnType) {
+      this.validateType(value, node.returnType, env);
     }
-    return value;
+    throw new ReturnSignal(value);
   }
 
   async evalSayAction(node, env) {
@@ -941,14 +2508,18 @@ class Interpreter {
 
   async evalStoreAction(node, env) {
     const value = await this.evalExpr(node.value, env);
-    env.define(node.key, value);
+    await this.storage.set(node.key, value);
+    this.invalidateAskIndexes(node.key);
+    await this.notifyChange(`store:${node.key}`);
     return null;
   }
 
   async evalForgetAction(node, env) {
-    env.define(node.key, null);
-    console.log(`Forgot key ${node.key}: ${node.reason}`);
-    return null;
+    const forgotten = await this.storage.delete(node.key);
+    this.invalidateAskIndexes(node.key);
+    await this.storage.addTombstone({ key: node.key, reason: node.reason, at: new Date(this.now()).toISOString() });
+    await this.notifyChange(`store:${node.key}`);
+    return forgotten;
   }
 
   async evalHttpAction(node, env) {
@@ -963,14 +2534,14 @@ class Interpreter {
       const socketEnv = new Environment(env);
       socketEnv.define('message', event.data);
       try {
-        await this.executeActions(node.actions, socketEnv);
+        await this.executeBody(node.actions, socketEnv);
       } catch (e) {
-        if (node.onError) {
+        if (node.onError && !this.isOutOfGas(e)) {
           const errorEnv = new Environment(socketEnv);
           if (node.onError.errorName) {
             errorEnv.define(node.onError.errorName, e.message);
           }
-          await this.executeActions(node.onError.body, errorEnv);
+          await this.executeBody(node.onError.body, errorEnv);
         } else {
           throw e;
         }
@@ -980,24 +2551,41 @@ class Interpreter {
   }
 
   async evalSubscribeAction(node, env) {
-    this.eventListeners.set(node.topic, async (data) => {
+    const id = this.events.subscribe(node.topic, async (data, topic) => {
       const subEnv = new Environment(env);
       subEnv.define('eventData', data);
+      subEnv.define('eventTopic', topic);
       try {
-        await this.executeActions(node.actions, subEnv);
+        await this.executeBody(node.actions, subEnv);
       } catch (e) {
-        if (node.onError) {
-          const errorEnv = new Environment(subEnv);
-          if (node.onError.errorName) {
-            errorEnv.define(node.onError.errorName, e.message);
-          }
-          await this.executeActions(node.onError.body, errorEnv);
+        if (e instanceof ReturnSignal) {
+          return;
+        }
+        // Without on_error the bus records the failure and moves on to the next subscriber
+        if (!node.onError || this.isOutOfGas(e)) {
+          throw e;
         }
+        const errorEnv = new Environment(subEnv);
+        if (node.onError.errorName) {
+          errorEnv.define(node.onError.errorName, e.message);
+        }
+        await this.executeBody(node.onError.body, errorEnv);
       }
     });
+    if (node.handle) {
+      env.define(node.handle, { type: 'Subscription', id, topic: node.topic });
+    }
     return null;
   }
 
+  async evalUnsubscribeAction(node, env) {
+    const subscription = await this.evalExpr(node.subscription, env);
+    if (!subscription || subscription.type !== 'Subscription') {
+      throw new Error('unsubscribe expects a subscription handle');
+    }
+    return this.events.unsubscribe(subscription.id);
+  }
+
   async evalAuditAction(node, env) {
     console.log(`Audit: ${node.audit}`);
     return null;
@@ -1019,7 +2607,7 @@ class Interpreter {
   }
 
   async evalKeygenAction(node, env) {
-    env.define(node.name, `key-${node.algo}`);
+    env.define(node.name, generateKeyPair(node.algo));
     return null;
   }
 
@@ -1027,17 +2615,272 @@ class Interpreter {
     return node.signatures.length >= node.threshold;
   }
 
+  // Seals a ritual with the key pairs of its agents, in bind order, as keygen made them
+  async evalSealAction(node, env) {
+    const ritual = env.get(node.ritual);
+    if (!ritual || ritual.type !== 'Ritual') {
+      throw new Error(`${node.ritual} is not a ritual`);
+    }
+    this.applySeal(ritual, await this.evalExpr(node.agents, env));
+    return null;
+  }
+
   async evalWaitAction(node, env) {
     const value = await this.evalExpr(node.expr, env);
     return await value;
   }
 
+  async evalEmitAction(node, env) {
+    const data = node.value ? await this.evalExpr(node.value, env) : null;
+    await this.emitEvent(node.event, data);
+    return null;
+  }
+
+  // "refresh" reaches subscribers of refresh and every view handling it; "dash:refresh" only the dash view
+  async emitEvent(event, data) {
+    await this.events.publish(event, data);
+  }
+
+  async evalVoteAction(node, env) {
+    const proposal = env.get(node.proposal);
+    if (!(proposal instanceof Proposal)) {
+      throw new Error(`${node.proposal} is not a consensus`);
+    }
+    const voter = node.voter || this.principal;
+    if (voter === null) {
+      throw new Error(`Vote on ${node.proposal} needs a voter; add by <voter>`);
+    }
+    if (this.principal !== null && voter !== this.principal) {
+      throw new Error(`${this.principal} cannot vote as ${voter}`);
+    }
+    const keyPair = env.has(voter) ? env.get(voter) : null;
+    if (!keyPair || keyPair.type !== 'KeyPair') {
+      throw new Error(`Voter ${voter} has no key pair to sign a ballot on ${node.proposal}`);
+    }
+    const choice = await this.evalExpr(node.choice, env);
+    await this.castBallot(proposal, voter, choice, signBallot(proposal.name, proposal.id, keyPair, choice));
+    return null;
+  }
+
+  // Ballots are announced before the decision they may settle
+  async castBallot(proposal, voter, choice, signature) {
+    const ballot = await proposal.cast(voter, choice, signature, this.now());
+    await this.emitEvent('vote.cast', { user: voter, proposal: proposal.name, choice: ballot.choice });
+    await proposal.settle(false, this.now());
+    return ballot;
+  }
+
+  async evalEnqueueAction(node, env) {
+    const queue = await this.evalQueueTarget(node.target, env);
+    await queue.enqueue(await this.evalExpr(node.value, env));
+    return null;
+  }
+
+  async evalDequeueExpr(node, env) {
+    return await (await this.evalQueueTarget(node.target, env)).dequeue();
+  }
+
+  async evalConsumeAction(node, env) {
+    const queue = await this.evalQueueTarget(node.target, env);
+    await queue.consume(async (message) => {
+      const messageEnv = new Environment(env);
+      messageEnv.define(node.name, message);
+      try {
+        await this.executeBody(node.body, messageEnv);
+      } catch (e) {
+        if (e instanceof ReturnSignal) {
+          return;
+        }
+        if (node.onError && !this.isOutOfGas(e)) {
+          const errorEnv = new Environment(messageEnv);
+          if (node.onError.errorName) {
+            errorEnv.define(node.onError.errorName, e.message);
+          }
+          await this.executeBody(node.onError.body, errorEnv);
+        }
+        // Still a failed delivery, so the queue retries or dead-letters the message
+        throw e;
+      }
+    });
+    return null;
+  }
+
+  // Taking from or adding to a queue changes it, so it needs write permission on the queue's binding
+  async evalQueueTarget(target, env) {
+    let root = target;
+    while (root.type === 'MemberExpr' || root.type === 'IndexExpr') {
+      root = root.object;
+    }
+    if (root.type === 'Identifier') {
+      this.checkPermission('write', root.value, env);
+    }
+    const queue = await this.evalExpr(target, env);
+    if (!(queue instanceof MessageQueue)) {
+      throw new Error('Expected a queue');
+    }
+    return queue;
+  }
+
   async evalAskAction(node, env) {
-    return env.get(node.name);
+    const collection = await this.askCollection(node.name, env);
+    const candidates = await this.askCandidates(collection, node.where, env);
+    const matches = [];
+    for (const item of candidates) {
+      if (!node.where || await this.evalExpr(node.where, this.askItemEnv(item, env))) {
+        matches.push(item);
+      }
+    }
+    const typeInfo = this.resolveType(node.returnType, env);
+    let result = matches;
+    if (typeInfo.kind !== 'ListType') {
+      if (typeInfo.kind !== 'OptionType' && matches.length === 0) {
+        throw new Error(`ask ${node.name} found no match`);
+      }
+      result = matches.length > 0 ? matches[0] : null;
+    }
+    try {
+      this.validateType(result, node.returnType, env);
+    } catch (e) {
+      throw new Error(`ask ${node.name}: ${e.message}`);
+    }
+    return result;
   }
 
-  validateType(value, typeNode, env) {
+  // In-memory collections are scanned; map ontologies, entities and other stored data live under "name:" keys
+  async askCollection(name, env) {
+    const value = env.has(name) ? await this.evalExpr({ type: 'Identifier', value: name }, env) : null;
+    if (Array.isArray(value)) {
+      return { items: value };
+    }
+    if (value && value.type === 'Queue') {
+      return { items: [...value.queue] };
+    }
+    if (value && typeof value === 'object' && value.type !== 'Entity' && !this.isBox(value)) {
+      return { items: Object.values(value) };
+    }
+    const prefix = `${name}:`;
+    let fields = [];
+    if (value && value.type === 'Entity') {
+      fields = Object.keys(value.fields);
+    } else if (env.hasType(name) && env.getType(name).kind === 'MapType') {
+      fields = env.getType(name).box.fields.map(field => field.name);
+    } else if (!(await this.storage.keys()).some(key => key.startsWith(prefix))) {
+      throw new Error(`Cannot ask ${name}: it is not a collection`);
+    }
+    return { prefix, fields };
+  }
+
+  async askCandidates(collection, where, env) {
+    if (collection.items) {
+      return collection.items;
+    }
+    let keys = (await this.storage.keys()).filter(key => key.startsWith(collection.prefix));
+    const equality = this.findIndexableEquality(where, collection.fields);
+    if (equality) {
+      const value = await this.evalExpr(equality.value, env);
+      if (value === null || typeof value !== 'object') {
+        const index = await this.askIndex(collection.prefix, equality.field, keys);
+        keys = index.get(value) || [];
+      }
+    }
+    return await Promise.all(keys.map(key => this.storage.get(key)));
+  }
+
+  async askIndex(prefix, field, keys) {
+    if (!this.askIndexes.has(prefix)) {
+      this.askIndexes.set(prefix, new Map());
+    }
+    const indexes = this.askIndexes.get(prefix);
+    if (!indexes.has(field)) {
+      const index = new Map();
+      for (const key of keys) {
+        const item = await this.storage.get(key);
+        const value = this.isBox(item) ? item.value[field] : item && typeof item === 'object' ? item[field] : undefined;
+        if (value === null || typeof value !== 'object') {
+          index.set(value, [...(index.get(value) || []), key]);
+        }
+      }
+      indexes.set(field, index);
+    }
+    return indexes.get(field);
+  }
+
+  invalidateAskIndexes(key) {
+    for (const prefix of this.askIndexes.keys()) {
+      if (key.startsWith(prefix)) {
+        this.askIndexes.delete(prefix);
+      }
+    }
+  }
+
+  // Finds an `field == value` conjunct whose value does not depend on the item
+  findIndexableEquality(where, fields) {
+    if (!where || where.type !== 'BinaryExpr') {
+      return null;
+    }
+    if (where.op === '&&') {
+      return this.findIndexableEquality(where.left, fields) || this.findIndexableEquality(where.right, fields);
+    }
+    if (where.op !== '==') {
+      return null;
+    }
+    for (const [ref, other] of [[where.left, where.right], [where.right, where.left]]) {
+      const field = this.askFieldRef(ref, fields);
+      if (field && !this.refersToAskItem(other, fields)) {
+        return { field, value: other };
+      }
+    }
+    return null;
+  }
+
+  askFieldRef(node, fields) {
+    if (node.type === 'MemberExpr' && node.object.type === 'Identifier' && node.object.value === 'it') {
+      return node.field;
+    }
+    return node.type === 'Identifier' && fields.includes(node.value) ? node.value : null;
+  }
+
+  refersToAskItem(node, fields) {
+    if (Array.isArray(node)) {
+      return node.some(item => this.refersToAskItem(item, fields));
+    }
+    if (!node || typeof node !== 'object') {
+      return false;
+    }
+    if (node.type === 'Identifier' && (node.value === 'it' || fields.includes(node.value))) {
+      return true;
+    }
+    return Object.values(node).some(value => this.refersToAskItem(value, fields));
+  }
+
+  askItemEnv(item, env) {
+    const itemEnv = new Environment(env);
+    if (this.isBox(item) && this.findEntityType(item.type, env)) {
+      this.expireEntityFields(item, this.findEntityType(item.type, env));
+    }
+    itemEnv.define('it', item);
+    const fields = this.isBox(item) ? item.value : item && typeof item === 'object' && !Array.isArray(item) ? item : {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (field !== 'it') {
+        itemEnv.define(field, value);
+      }
+    }
+    return itemEnv;
+  }
+
+  resolveType(typeNode, env) {
+    if (typeNode.kind) {
+      return typeNode;
+    }
+    if (['ListType', 'DictType', 'OptionType', 'GroupType', 'UnionType', 'FutureType'].includes(typeNode.type)) {
+      return { kind: typeNode.type, ...typeNode };
+    }
     const typeInfo = env.getType(typeNode.value || typeNode.name);
+    return typeInfo.kind ? typeInfo : this.resolveType(typeInfo, env);
+  }
+
+  validateType(value, typeNode, env) {
+    const typeInfo = this.resolveType(typeNode, env);
     switch (typeInfo.kind) {
       case 'SimpleType':
         if (typeInfo.value === 'num' && typeof value !== 'number') {
@@ -1050,6 +2893,11 @@ class Interpreter {
           throw new Error(`Expected boolean, got ${typeof value}`);
         }
         break;
+      case 'EntityType':
+        if (!this.isBox(value) || value.type !== typeInfo.name) {
+          throw new Error(`Expected entity ${typeInfo.name}`);
+        }
+        break;
       case 'BoxType':
         if (typeof value !== 'object' || value.type !== typeInfo.name) {
           throw new Error(`Expected box of type ${typeInfo.name}`);
@@ -1089,3 +2937,4 @@ class Interpreter {
 }
 
 module.exports = Interpreter;
+module.exports.Environment = Environment;
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { GENESIS_HASH } = require('./entity');
+
+const PERIODS = ['day', 'week', 'month', 'year'];
+
+/**
+ * Finds when the calendar period holding a time began, in UTC. Weeks start on Monday.
+ * @param {string} period - day, week, month or year
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Start of the period in milliseconds
+ * @throws {Error} If the period is unknown
+ */
+function periodStart(period, time) {
+  const date = new Date(time);
+  switch (period) {
+    case 'day':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    case 'week':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    case 'month':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    case 'year':
+      return Date.UTC(date.getUTCFullYear(), 0, 1);
+    default:
+      throw new Error(`Unknown period ${period}; expected ${PERIODS.join(', ')}`);
+  }
+}
+
+/**
+ * Hashes a ledger entry together with the hash of the entry before it.
+ * @param {Object} entry - Entry without its hash
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashEntry(entry) {
+  const { seq, at, debit, credit, amount, memo, prev } = entry;
+  const payload = JSON.stringify({ seq, at, debit, credit, amount, memo, prev });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Append-only double-entry ledger. Every entry moves an amount from a debit account to a
+ * credit account and links to the entry before it by hash, so balances always sum to zero
+ * and any edit to past entries shows up in verify.
+ */
+class Ledger {
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.storage] - Storage backend to persist entries through
+   */
+  constructor({ storage = null } = {}) {
+    this.storage = storage;
+    this.key = 'ledger:entries';
+    this.entries = []; // Oldest first
+    this.loaded = false;
+    this.tail = Promise.resolve(); // Last exclusive call
+  }
+
+  /**
+   * Runs a function once every earlier exclusive call has finished, so that reading
+   * balances and posting based on them cannot interleave with another caller.
+   * @param {Function} fn - async () => any
+   * @returns {Promise<any>} What fn returned
+   */
+  exclusive(fn) {
+    const run = this.tail.then(fn);
+    this.tail = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Restores entries from storage the first time it is called.
+   * @throws {Error} If the stored chain has been tampered with
+   */
+  async load() {
+    if (this.loaded) {
+      return;
+    }
+    const stored = this.storage ? await this.storage.get(this.key) : null;
+    if (stored) {
+      this.entries = stored.map(entry => Object.freeze({ ...entry }));
+      // Refuse to append to a broken chain; every later call fails the same way
+      if (!this.verify()) {
+        this.entries = [];
+        throw new Error('Stored ledger entries do not match their hashes');
+      }
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Appends an entry.
+   * @param {Object} posting
+   * @param {string} posting.debit - Account the amount leaves
+   * @param {string} posting.credit - Account the amount goes to
+   * @param {number} posting.amount - Positive amount
+   * @param {number} posting.at - Time in milliseconds
+   * @param {Object} [posting.memo] - What the entry was for
+   * @returns {Promise<Object>} The recorded entry, including seq, prev and hash
+   * @throws {Error} If the amount is not positive or both sides are the same account
+   */
+  async post({ debit, credit, amount, at, memo = {} }) {
+    await this.load();
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      throw new Error(`Ledger amount must be a positive number, got ${amount}`);
+    }
+    if (debit === credit) {
+      throw new Error(`Ledger entry cannot debit and credit the same account ${debit}`);
+    }
+    const last = this.entries[this.entries.length - 1];
+    const entry = {
+      seq: this.entries.length + 1, at: new Date(at).toISOString(), debit, credit, amount, memo: structuredClone(memo), prev: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+    this.entries.push(Object.freeze(entry));
+    if (this.storage) {
+      await this.storage.set(this.key, this.entries);
+    }
+    return structuredClone(entry);
+  }
+
+  /**
+   * Balance of an account: what it was credited less what it was debited.
+   * @param {string} account - Account name
+   * @returns {Promise<number>}
+   */
+  async balance(account) {
+    await this.load();
+    return this.entries.reduce((total, entry) => total + this.change(entry, account), 0);
+  }
+
+  change(entry, account) {
+    return (entry.credit === account ? entry.amount : 0) - (entry.debit === account ? entry.amount : 0);
+  }
+
+  /**
+   * Total credited to an account since a time by entries whose memo matches.
+   * @param {string} account - Account name
+   * @param {number} since - Time in milliseconds
+   * @param {Function} [matches] - (memo) => boolean
+   * @returns {Promise<number>}
+   */
+  async creditedSince(account, since, matches = () => true) {
+    await this.load();
+    return this.entries
+      .filter(entry => entry.credit === account && Date.parse(entry.at) >= since && matches(entry.memo))
+      .reduce((total, entry) => total + entry.amount, 0);
+  }
+
+  /**
+   * Lists the entries touching an account, each with the account's balance after it.
+   * @param {string} account - Account name
+   * @param {Object} [range]
+   * @param {number|null} [range.from] - Earliest time in milliseconds
+   * @param {number|null} [range.to] - Latest time in milliseconds
+   * @returns {Promise<Object[]>} { seq, at, amount, counterparty, memo, balance }, amount negative for debits
+   */
+  async statement(account, { from = null, to = null } = {}) {
+    await this.load();
+    const lines = [];
+    let balance = 0;
+    for (const entry of this.entries) {
+      const amount = this.change(entry, account);
+      if (amount === 0) {
+        continue;
+      }
+      balance += amount;
+      const at = Date.parse(entry.at);
+      if ((from === null || at >= from) && (to === null || at <= to)) {
+        const counterparty = entry.credit === account ? entry.debit : entry.credit;
+        lines.push({ seq: entry.seq, at: new Date(at), amount, counterparty, memo: structuredClone(entry.memo), balance });
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Checks that every entry links to the one before it and still matches its hash.
+   * @returns {boolean} Whether the chain is intact
+   */
+  verify() {
+    let prev = GENESIS_HASH;
+    for (const entry of this.entries) {
+      if (entry.prev !== prev || entry.hash !== hashEntry(entry)) {
+        return false;
+      }
+      prev = entry.hash;
+    }
+    return true;
+  }
+}
+
+module.exports = { Ledger, periodStart, hashEntry, PERIODS };
@@ -0,0 +1,214 @@
+const LIVES = ['sacred', 'short', 'forever'];
+
+/**
+ * Gives declared jobs their life: short jobs expire after a TTL and are collected,
+ * forever jobs are restarted with exponential backoff after they crash, and sacred
+ * jobs can never be redeclared or replaced.
+ */
+class Lifecycles {
+  /**
+   * @param {Object} [options]
+   * @param {RealClock|VirtualClock} options.clock - Time source and timers
+   * @param {Object} [options.restartTimers] - What restart timers are set on, such as a Scheduler so that
+   *   waiting for it to go idle also waits for pending restarts; defaults to the clock
+   * @param {number} [options.initialDelay] - Milliseconds before the first restart of a crashed forever job
+   * @param {number} [options.maxDelay] - Longest wait between restarts, in milliseconds
+   * @param {number} [options.maxRestarts] - Crashes in a row after which the job is given up as failed
+   * @param {Function} [options.onTransition] - Called with { job, life, from, to, reason, at } on every state change
+   */
+  constructor({ clock, restartTimers = clock, initialDelay = 1000, maxDelay = 60000, maxRestarts = 5, onTransition = () => {} }) {
+    this.clock = clock;
+    this.restartTimers = restartTimers;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.maxRestarts = maxRestarts;
+    this.onTransition = onTransition;
+    this.records = new Map();
+  }
+
+  /**
+   * Registers a job declaration. A job without a life is only checked against sacred ones.
+   * @param {string} name - Job name
+   * @param {string|null} life - sacred, short, forever or null
+   * @param {Object} [options]
+   * @param {number|null} [options.ttl] - Seconds a short job lives
+   * @param {Function} [options.onExpire] - async () => void; collects the job once it expires
+   * @throws {Error} If a sacred job of that name exists or the life is unknown
+   */
+  declare(name, life, { ttl = null, onExpire = () => {} } = {}) {
+    const existing = this.records.get(name);
+    if (existing && existing.life === 'sacred') {
+      throw new Error(`Job ${name} is sacred and cannot be redeclared`);
+    }
+    if (life !== null && !LIVES.includes(life)) {
+      throw new Error(`Unknown job life ${life}; expected ${LIVES.join(', ')}`);
+    }
+    if (existing) {
+      this.clearTimer(existing);
+      if (!['expired', 'replaced'].includes(existing.state)) {
+        this.transition(existing, 'replaced', 'redeclared');
+      }
+      this.records.delete(name);
+    }
+    if (life === null) {
+      return;
+    }
+    const now = this.clock.now();
+    const record = {
+      name, life, state: 'declared', declaredAt: now, expiresAt: life === 'short' ? now + ttl * 1000 : null,
+      restarts: 0, crashes: 0, nextRestart: null, lastError: null, transitions: [], timer: null, onExpire
+    };
+    this.records.set(name, record);
+    this.transition(record, 'active', life === 'short' ? `expires in ${ttl}s` : null);
+    if (life === 'short') {
+      this.setTimer(record, this.clock, () => this.expire(record), ttl * 1000);
+    }
+  }
+
+  isSacred(name) {
+    const record = this.records.get(name);
+    return Boolean(record && record.life === 'sacred');
+  }
+
+  /**
+   * Checks that a job may still run, expiring a short job whose TTL has passed.
+   * @param {string} name - Job name
+   * @throws {Error} If the job has expired
+   */
+  async ensureAlive(name) {
+    const record = this.records.get(name);
+    if (!record) {
+      return;
+    }
+    if (record.state !== 'expired' && record.expiresAt !== null && this.clock.now() >= record.expiresAt) {
+      await this.expire(record);
+    }
+    if (record.state === 'expired') {
+      throw new Error(`Job ${name} expired at ${new Date(record.expiresAt).toISOString()}`);
+    }
+  }
+
+  async expire(record) {
+    if (record.state === 'expired') {
+      return;
+    }
+    this.clearTimer(record);
+    this.transition(record, 'expired', 'ttl elapsed');
+    const onExpire = record.onExpire;
+    record.onExpire = null; // Let the collected job go
+    await onExpire();
+  }
+
+  /**
+   * Runs a forever job, scheduling a restart with backoff if it crashes.
+   * @param {string} name - Job name
+   * @param {Function} run - async () => any
+   * @param {Function} [restart] - What a restart runs instead of run
+   * @returns {Promise<any>} What the run returned
+   * @throws {Error} The crash, after the restart has been scheduled
+   */
+  async supervise(name, run, restart = run) {
+    const record = this.records.get(name);
+    try {
+      const result = await run();
+      record.crashes = 0;
+      if (record.state === 'failed') {
+        this.transition(record, 'active', 'recovered');
+      }
+      return result;
+    } catch (e) {
+      this.crashed(record, e, restart);
+      throw e;
+    }
+  }
+
+  crashed(record, error, run) {
+    record.crashes++;
+    record.lastError = error.message;
+    // A restart already pending covers this crash too; failed and stopped jobs are not restarted
+    if (record.timer || record.state !== 'active') {
+      return;
+    }
+    if (record.crashes > this.maxRestarts) {
+      this.transition(record, 'failed', `crashed ${record.crashes} times in a row: ${error.message}`);
+      return;
+    }
+    const delay = Math.min(this.initialDelay * 2 ** (record.crashes - 1), this.maxDelay);
+    record.nextRestart = this.clock.now() + delay;
+    this.transition(record, 'restarting', `crashed: ${error.message}; restart in ${delay}ms`);
+    this.setTimer(record, this.restartTimers, () => this.restart(record, run), delay);
+  }
+
+  async restart(record, run) {
+    record.timer = null;
+    record.nextRestart = null;
+    if (record.state !== 'restarting') {
+      return;
+    }
+    record.restarts++;
+    this.transition(record, 'active', `restart ${record.restarts}`);
+    try {
+      await this.supervise(record.name, run);
+    } catch (e) {
+      // Already recorded by crashed, which scheduled the next restart or gave up
+    }
+  }
+
+  /**
+   * Stops supervising a job and drops any pending restart or expiry.
+   * @param {string} name - Job name
+   * @returns {boolean} True if the job had a life to stop
+   */
+  stop(name) {
+    const record = this.records.get(name);
+    if (!record || ['stopped', 'expired'].includes(record.state)) {
+      return false;
+    }
+    this.clearTimer(record);
+    record.nextRestart = null;
+    this.transition(record, 'stopped', 'cancelled');
+    return true;
+  }
+
+  setTimer(record, timers, callback, delay) {
+    record.timer = { timers, handle: timers.setTimer(callback, delay) };
+  }
+
+  clearTimer(record) {
+    if (record.timer) {
+      record.timer.timers.clearTimer(record.timer.handle);
+      record.timer = null;
+    }
+  }
+
+  transition(record, to, reason) {
+    const change = { job: record.name, life: record.life, from: record.state, to, reason, at: new Date(this.clock.now()) };
+    record.state = to;
+    record.transitions.push(change);
+    this.onTransition({ ...change });
+  }
+
+  /**
+   * Reports a job's life.
+   * @param {string} name - Job name
+   * @returns {Object|null} { life, lifecycle, expiresAt, restarts, nextRestart, lastCrash, transitions },
+   *   or null if the job was declared without a life
+   */
+  status(name) {
+    const record = this.records.get(name);
+    if (!record) {
+      return null;
+    }
+    return {
+      life: record.life,
+      lifecycle: record.state,
+      expiresAt: record.expiresAt !== null ? new Date(record.expiresAt) : null,
+      restarts: record.restarts,
+      nextRestart: record.nextRestart !== null ? new Date(record.nextRestart) : null,
+      lastCrash: record.lastError,
+      transitions: record.transitions.map(change => ({ ...change }))
+    };
+  }
+}
+
+module.exports = { Lifecycles };
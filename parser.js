@@ -1,9 +1,38 @@
 const { Token } = require('./tokenizer');
 
+const DECLARATION_KEYWORDS = [
+  'pack', 'var', 'fn', 'box', 'map', 'queue', 'view', 'entity', 'job', 'money', 'promise', 'reputation',
+  'consensus', 'share', 'send', 'allow', 'bridge', 'think', 'loose', 'target', 'type', 'format', 'guard',
+  'error', 'test', 'covenant', 'manifest', 'ritual', 'op', 'bring'
+];
+
+const VISIBILITY_TAGS = ['public', 'private', 'internal'];
+
+// Precedence (higher binds tighter) and associativity of the built-in infix operators.
+// Custom operators declare a precedence from 1 to 9 and default to left 9.
+const BUILTIN_OPERATORS = {
+  '||': { precedence: 2, assoc: 'left' },
+  '&&': { precedence: 2, assoc: 'left' },
+  '==': { precedence: 4, assoc: 'left' },
+  '!=': { precedence: 4, assoc: 'left' },
+  '>': { precedence: 4, assoc: 'left' },
+  '<': { precedence: 4, assoc: 'left' },
+  '>=': { precedence: 4, assoc: 'left' },
+  '<=': { precedence: 4, assoc: 'left' },
+  '+': { precedence: 6, assoc: 'left' },
+  '-': { precedence: 6, assoc: 'left' },
+  '*': { precedence: 7, assoc: 'left' },
+  '/': { precedence: 7, assoc: 'left' },
+  '%': { precedence: 7, assoc: 'left' }
+};
+
 class Parser {
-  constructor(tokens) {
+  constructor(tokens, operators = new Map()) {
     this.tokens = tokens;
     this.pos = 0;
+    this.operators = operators; // Custom infix operators in scope, by symbol
+    this.noBoxExpr = false; // Set while parsing a condition that is followed by a block
+    this.loopLabels = []; // Labels of the enclosing loops, innermost last (null when unlabelled)
   }
 
   peek() {
@@ -25,37 +54,112 @@ class Parser {
   parseProgram() {
     const node = { type: 'Program', body: [] };
     while (this.peek().type !== 'eof') {
-      if (this.peek().type === 'keyword') {
-        switch (this.peek().value) {
-          case 'namespace':
-            node.body.push(this.parseNamespace());
-            break;
-          case 'pack':
-            node.body.push(this.parsePack());
-            break;
-          case 'line-comment':
-          case 'block-comment':
-            node.body.push(this.parseNote());
-            break;
-          default:
-            throw new Error(`Unexpected keyword ${this.peek().value} at ${this.peek().line}:${this.peek().column}`);
-        }
-      } else {
-        throw new Error(`Unexpected token ${this.peek().value} at ${this.peek().line}:${this.peek().column}`);
-      }
+      node.body.push(this.parseTopLevel());
     }
+    this.checkVisibility(node.body, this.declareScope(node.body, 'Program', null, null));
     return node;
   }
 
+  // Builds the namespace/pack tree of a program with the visibility of each member
+  declareScope(items, kind, name, parent) {
+    const scope = { kind, name, parent, members: new Map(), children: new Map() };
+    for (const item of items) {
+      if (typeof item.name !== 'string') {
+        continue;
+      }
+      const tags = item.tags || [];
+      const visibility = VISIBILITY_TAGS.find(tag => tags.includes(tag)) || 'public';
+      const member = { name: item.name, visibility, scope: null };
+      if (item.type === 'Namespace' || item.type === 'Pack') {
+        member.scope = this.declareScope(item.body, item.type, item.name, scope);
+        scope.children.set(item, member.scope);
+      }
+      scope.members.set(item.name, member);
+    }
+    return scope;
+  }
+
+  // Rejects qualified accesses that the declared visibility already rules out
+  checkVisibility(node, scope) {
+    if (Array.isArray(node)) {
+      node.forEach(item => this.checkVisibility(item, scope));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (scope.children.has(node)) {
+      this.checkVisibility(node.body, scope.children.get(node));
+      return;
+    }
+    if (node.type === 'MemberExpr') {
+      this.checkQualifiedAccess(node, scope);
+    }
+    Object.values(node).forEach(value => this.checkVisibility(value, scope));
+  }
+
+  checkQualifiedAccess(node, scope) {
+    const fields = [];
+    let root = node;
+    while (root.type === 'MemberExpr') {
+      fields.unshift(root.field);
+      root = root.object;
+    }
+    if (root.type !== 'Identifier') {
+      return;
+    }
+    let member = null;
+    for (let current = scope; current && !member; current = current.parent) {
+      member = current.members.get(root.value);
+    }
+    for (const field of fields) {
+      if (!member || !member.scope || !member.scope.members.has(field)) {
+        return;
+      }
+      const owner = member.scope;
+      member = owner.members.get(field);
+      const allowed = member.visibility === 'private' ? owner : this.enclosingNamespace(owner);
+      if (member.visibility !== 'public' && !this.isWithinScope(scope, allowed)) {
+        throw new Error(`Cannot access ${member.visibility} member ${field} outside ${allowed.kind.toLowerCase()} ${allowed.name}`);
+      }
+    }
+  }
+
+  enclosingNamespace(scope) {
+    let current = scope;
+    while (current.kind !== 'Namespace' && current.parent) {
+      current = current.parent;
+    }
+    return current;
+  }
+
+  isWithinScope(scope, target) {
+    for (let current = scope; current; current = current.parent) {
+      if (current === target) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  parseTopLevel() {
+    const token = this.peek();
+    if (token.type === 'line-comment' || token.type === 'block-comment') {
+      return this.parseNote();
+    }
+    if (token.type === 'keyword' && token.value === 'namespace') {
+      return this.parseNamespace();
+    }
+    if (token.type === 'keyword' && DECLARATION_KEYWORDS.includes(token.value)) {
+      return this.parseNamespaceOrPackBody();
+    }
+    return this.parseAction();
+  }
+
   parseNamespace() {
     this.consume('keyword', 'namespace');
     const name = this.consume('identifier').value;
-    this.consume('symbol', '{');
-    const body = [];
-    while (this.peek().value !== '}') {
-      body.push(this.parseNamespaceOrPackBody());
-    }
-    this.consume('symbol', '}');
+    const body = this.parseScopedBody();
     return { type: 'Namespace', name, body };
   }
 
@@ -63,16 +167,28 @@ class Parser {
     this.consume('keyword', 'pack');
     const name = this.consume('identifier').value;
     const tags = this.parseTags();
+    const body = this.parseScopedBody();
+    return { type: 'Pack', name, tags, body };
+  }
+
+  parseScopedBody() {
+    // Operators declared inside a namespace or pack stay visible only there
+    const outer = this.operators;
+    this.operators = new Map(outer);
     this.consume('symbol', '{');
     const body = [];
     while (this.peek().value !== '}') {
       body.push(this.parseNamespaceOrPackBody());
     }
     this.consume('symbol', '}');
-    return { type: 'Pack', name, tags, body };
+    this.operators = outer;
+    return body;
   }
 
   parseNamespaceOrPackBody() {
+    if (this.peek().type === 'line-comment' || this.peek().type === 'block-comment') {
+      return this.parseNote();
+    }
     if (this.peek().type === 'keyword') {
       switch (this.peek().value) {
         case 'pack':
@@ -125,9 +241,16 @@ class Parser {
           return this.parseErrorDecl();
         case 'test':
           return this.parseTestDecl();
-        case 'line-comment':
-        case 'block-comment':
-          return this.parseNote();
+        case 'covenant':
+          return this.parseCovenantDecl();
+        case 'manifest':
+          return this.parseManifestDecl();
+        case 'ritual':
+          return this.parseRitualDecl();
+        case 'op':
+          return this.parseOpDecl();
+        case 'bring':
+          return this.parseBringDecl();
         default:
           throw new Error(`Unexpected keyword ${this.peek().value} at ${this.peek().line}:${this.peek().column}`);
       }
@@ -159,15 +282,15 @@ class Parser {
   parseVarDecl() {
     this.consume('keyword', 'var');
     const names = this.parseNameOrSplit();
-    let type = null;
+    let varType = null;
     if (this.peek().value === ':') {
       this.consume('symbol', ':');
-      type = this.peek().value === 'infer' ? { type: 'InferType' } : this.parseType();
+      varType = this.peek().value === 'infer' ? { type: 'InferType' } : this.parseType();
     }
-    this.consume('symbol', '=');
+    this.consume('operator', '=');
     const value = this.parseExpr();
     this.consume('symbol', ';');
-    return { type: 'VarDecl', names, type, value };
+    return { type: 'VarDecl', names, varType, value };
   }
 
   parseBoxDecl() {
@@ -182,12 +305,12 @@ class Parser {
       const fieldType = this.parseType();
       let defaultValue = null;
       if (this.peek().value === '=') {
-        this.consume('symbol', '=');
+        this.consume('operator', '=');
         defaultValue = this.peek().value === 'active' ? this.parseActiveExpr() : this.parseExpr();
       }
       fields.push({ name: fieldName, type: fieldType, defaultValue });
-      if (this.peek().value === ',') {
-        this.consume('symbol', ',');
+      if (this.peek().value === ',' || this.peek().value === ';') {
+        this.consume('symbol', this.peek().value);
       }
     }
     this.consume('symbol', '}');
@@ -224,8 +347,13 @@ class Parser {
     this.consume('keyword', 'queue');
     const tags = this.parseTags();
     const name = this.consume('identifier').value;
-    this.consume('symbol', ';');
-    return { type: 'QueueDecl', name, tags };
+    let fields = [];
+    if (this.peek().value === '{') {
+      fields = this.parseMetadataFields();
+    } else {
+      this.consume('symbol', ';');
+    }
+    return { type: 'QueueDecl', name, tags, fields };
   }
 
   parseViewDecl() {
@@ -255,7 +383,13 @@ class Parser {
         const fieldName = this.consume('identifier').value;
         this.consume('symbol', ':');
         const fieldType = this.parseType();
-        fields.push({ name: fieldName, type: fieldType });
+        // Fields given an expression are derived and recompute when the names they read change
+        let expr = null;
+        if (this.peek().value === '=') {
+          this.consume('operator', '=');
+          expr = this.parseExpr();
+        }
+        fields.push({ name: fieldName, type: fieldType, expr });
         if (this.peek().value === ',') {
           this.consume('symbol', ',');
         }
@@ -269,25 +403,42 @@ class Parser {
     this.consume('keyword', 'entity');
     const tags = this.parseTags();
     const name = this.consume('identifier').value;
-    const changes = [];
-    while (this.peek().value === '[') {
-      this.consume('symbol', '[');
-      changes.push(this.consume('keyword').value);
-      this.consume('symbol', ']');
-    }
+    const { changes, ttl } = this.parseEntityChanges();
     this.consume('symbol', '{');
     const fields = [];
     while (this.peek().value !== '}') {
       const fieldName = this.consume('identifier').value;
       this.consume('symbol', ':');
       const fieldType = this.parseType();
-      fields.push({ name: fieldName, type: fieldType });
+      fields.push({ name: fieldName, type: fieldType, ...this.parseEntityChanges() });
       if (this.peek().value === ',') {
         this.consume('symbol', ',');
       }
     }
     this.consume('symbol', '}');
-    return { type: 'EntityDecl', name, tags, changes, fields };
+    return { type: 'EntityDecl', name, tags, changes, ttl, fields };
+  }
+
+  // [fixed], [tracked] or [short], where short may give its lifetime in seconds: [short 30]
+  parseEntityChanges() {
+    const changes = [];
+    let ttl = null;
+    while (this.peek().value === '[') {
+      this.consume('symbol', '[');
+      const change = this.consume('keyword').value;
+      if (!['fixed', 'short', 'tracked'].includes(change)) {
+        throw new Error(`Unknown entity change ${change}; expected fixed, short or tracked`);
+      }
+      if (change === 'short' && this.peek().type === 'number') {
+        ttl = Number(this.consume('number').value);
+        if (ttl <= 0) {
+          throw new Error(`Short lifetime must be positive, got ${ttl}`);
+        }
+      }
+      changes.push(change);
+      this.consume('symbol', ']');
+    }
+    return { changes, ttl };
   }
 
   parseJobDecl() {
@@ -318,7 +469,7 @@ class Parser {
       return { type: field, value: this.consume('text').value };
     }
     if (field === 'args') {
-      this.consume('symbol', '<');
+      this.consume('operator', '<');
       const args = [];
       while (this.peek().value !== '>') {
         const argName = this.consume('identifier').value;
@@ -332,7 +483,7 @@ class Parser {
           this.consume('symbol', ',');
         }
       }
-      this.consume('symbol', '>');
+      this.consume('operator', '>');
       return { type: 'args', value: args };
     }
     if (field === 'data') {
@@ -344,7 +495,7 @@ class Parser {
       this.consume('symbol', ':');
       const maxValue = this.consume('number').value;
       this.consume('symbol', ',');
-      this.consume('keyword', 'fee');
+      this.consume('identifier', 'fee');
       this.consume('symbol', ':');
       const feeValue = this.consume('text').value;
       this.consume('symbol', '}');
@@ -354,7 +505,20 @@ class Parser {
       return { type: 'audit', value: this.consume('text').value };
     }
     if (field === 'life') {
-      return { type: 'life', value: this.consume('keyword').value };
+      const token = this.peek();
+      if (!['sacred', 'short', 'forever'].includes(token.value)) {
+        throw new Error(`Unknown job life ${token.value}; expected sacred, short or forever at ${token.line}:${token.column}`);
+      }
+      const life = this.consume('keyword').value;
+      // A short job may give its lifetime in seconds: life: short 300
+      let ttl = null;
+      if (life === 'short' && this.peek().type === 'number') {
+        ttl = Number(this.consume('number').value);
+        if (ttl <= 0) {
+          throw new Error(`Short lifetime must be positive, got ${ttl}`);
+        }
+      }
+      return { type: 'life', value: life, ttl };
     }
     if (field === 'check') {
       this.consume('symbol', '{');
@@ -364,7 +528,11 @@ class Parser {
       this.consume('symbol', ',');
       this.consume('keyword', 'needed');
       this.consume('symbol', ':');
-      const neededValue = this.consume('keyword').value;
+      const neededToken = this.peek();
+      if (!['yes', 'no'].includes(neededToken.value)) {
+        throw new Error(`Expected yes or no, got ${neededToken.value} at ${neededToken.line}:${neededToken.column}`);
+      }
+      const neededValue = this.consume('identifier').value;
       this.consume('symbol', ',');
       this.consume('keyword', 'error');
       this.consume('symbol', ':');
@@ -378,14 +546,29 @@ class Parser {
   parseMoneyDecl() {
     this.consume('keyword', 'money');
     const tags = this.parseTags();
+    const name = this.peek().type === 'identifier' ? this.consume('identifier').value : null;
     this.consume('symbol', '{');
     const rules = [];
+    let cap = null;
     while (this.peek().value !== '}') {
-      const ruleType = this.consume('keyword').value;
-      if (!['earn', 'reward'].includes(ruleType)) {
-        throw new Error(`Expected earn or reward, got ${ruleType} at ${this.peek().line}:${this.peek().column}`);
+      // cap 500 per week; limits what one account can receive from these rules in a period
+      if (this.peek().value === 'cap') {
+        this.consume('identifier', 'cap');
+        const limit = Number(this.consume('number').value);
+        this.consume('identifier', 'per');
+        cap = { limit, period: this.consume('identifier').value };
+        if (this.peek().value === ';') {
+          this.consume('symbol', ';');
+        }
+        continue;
       }
-      const box = this.parseBoxExpr();
+      const ruleToken = this.peek();
+      if (!['earn', 'reward'].includes(ruleToken.value)) {
+        throw new Error(`Expected earn or reward, got ${ruleToken.value} at ${ruleToken.line}:${ruleToken.column}`);
+      }
+      const ruleType = this.consume('identifier').value;
+      // The activity pattern may leave out the box name: earn { task: "review" }
+      const box = this.parseBoxExpr(this.peek().value === '{' ? 'activity' : null);
       let when = null;
       let amount = null;
       if (this.peek().value === 'when') {
@@ -393,16 +576,16 @@ class Parser {
         when = this.parseExpr();
       }
       if (this.peek().value === 'amount') {
-        this.consume('keyword', 'amount');
+        this.consume('identifier', 'amount');
         amount = this.consume('number').value;
       }
       rules.push({ type: ruleType, box, when, amount: amount ? parseInt(amount) : null });
-      if (this.peek().value === ',') {
-        this.consume('symbol', ',');
+      if (this.peek().value === ',' || this.peek().value === ';') {
+        this.consume('symbol', this.peek().value);
       }
     }
     this.consume('symbol', '}');
-    return { type: 'MoneyDecl', tags, rules };
+    return { type: 'MoneyDecl', name, tags, rules, cap };
   }
 
   parsePromiseDecl() {
@@ -468,43 +651,88 @@ class Parser {
     this.consume('keyword', 'reputation');
     const name = this.consume('identifier').value;
     this.consume('symbol', '{');
-    this.consume('keyword', 'user');
-    this.consume('symbol', ':');
-    const user = this.consume('identifier').value;
-    this.consume('symbol', ',');
-    this.consume('keyword', 'score');
-    this.consume('symbol', ':');
-    const score = this.consume('number').value;
+    const node = { type: 'ReputationDecl', name, weights: [], decay: null, base: null, min: null, max: null, user: null, score: null };
+    while (this.peek().value !== '}') {
+      const token = this.peek();
+      if (!['weights', 'decay', 'base', 'min', 'max', 'user', 'score'].includes(token.value)) {
+        throw new Error(`Unexpected field ${token.value} at ${token.line}:${token.column}`);
+      }
+      this.consume(token.type);
+      this.consume('symbol', ':');
+      if (token.value === 'weights') {
+        // Event kinds are topics, so they may be quoted to hold dots: { "job.completed": 5 }
+        this.consume('symbol', '{');
+        while (this.peek().value !== '}') {
+          const kind = this.consume(this.peek().type === 'text' ? 'text' : 'identifier').value;
+          this.consume('symbol', ':');
+          node.weights.push({ kind, weight: this.parseExpr() });
+          if (this.peek().value === ',') {
+            this.consume('symbol', ',');
+          }
+        }
+        this.consume('symbol', '}');
+      } else if (token.value === 'decay') {
+        node.decay = this.consume('text').value;
+      } else if (token.value === 'user') {
+        node.user = this.consume(this.peek().type === 'text' ? 'text' : 'identifier').value;
+      } else {
+        node[token.value] = this.parseExpr();
+      }
+      if (this.peek().value === ',' || this.peek().value === ';') {
+        this.consume('symbol', this.peek().value);
+      }
+    }
     this.consume('symbol', '}');
-    return { type: 'ReputationDecl', name, user, score: parseInt(score) };
+    if ((node.user === null) !== (node.score === null)) {
+      throw new Error(`Reputation ${name} needs both user and score to seed a score`);
+    }
+    return node;
   }
 
   parseConsensusDecl() {
     this.consume('keyword', 'consensus');
     const name = this.consume('identifier').value;
     this.consume('symbol', '{');
-    this.consume('keyword', 'threshold');
-    this.consume('symbol', ':');
-    const threshold = this.consume('number').value;
-    this.consume('symbol', ',');
-    this.consume('keyword', 'voters');
-    this.consume('symbol', ':');
-    this.consume('symbol', '[');
-    const voters = [];
-    while (this.peek().value !== ']') {
-      voters.push(this.consume('identifier').value);
-      if (this.peek().value === ',') {
-        this.consume('symbol', ',');
+    const node = { type: 'ConsensusDecl', name, threshold: null, voters: null, quorum: null, weight: null, reputation: null, deadline: null, actions: [] };
+    const fields = ['threshold', 'voters', 'quorum', 'weight', 'reputation', 'deadline'];
+    while (fields.includes(this.peek().value) && this.tokens[this.pos + 1]?.value === ':') {
+      const token = this.consume(this.peek().type);
+      this.consume('symbol', ':');
+      if (token.value === 'threshold' || token.value === 'quorum') {
+        // A count of votes, or a percentage when followed by %: threshold: 60%
+        node[token.value] = { value: Number(this.consume('number').value), percent: false };
+        if (this.peek().value === '%') {
+          this.consume('operator', '%');
+          node[token.value].percent = true;
+        }
+      } else if (token.value === 'voters') {
+        node.voters = this.parseJobList();
+      } else if (token.value === 'weight') {
+        // weight: trust counts each ballot with the voter's trust score
+        node.weight = this.consume('identifier').value;
+      } else if (token.value === 'reputation') {
+        // reputation: trust min 40 only lets voters whose trust score is at least 40 vote
+        node.reputation = { name: this.consume('identifier').value, min: null };
+        if (this.peek().value === 'min') {
+          this.consume('keyword', 'min');
+          node.reputation.min = this.parseExpr();
+        }
+      } else {
+        // A duration from when the proposal opens, such as "2d", or an ISO time
+        node.deadline = this.consume('text').value;
+      }
+      if (this.peek().value === ',' || this.peek().value === ';') {
+        this.consume('symbol', this.peek().value);
       }
     }
-    this.consume('symbol', ']');
-    this.consume('symbol', ',');
-    const actions = [];
+    if (node.threshold === null || node.voters === null) {
+      throw new Error(`Consensus ${name} needs a threshold and voters`);
+    }
     while (this.peek().value !== '}') {
-      actions.push(this.parseAction());
+      node.actions.push(this.parseAction());
     }
     this.consume('symbol', '}');
-    return { type: 'ConsensusDecl', name, threshold: parseInt(threshold), voters, actions };
+    return node;
   }
 
   parseShareDecl() {
@@ -530,10 +758,11 @@ class Parser {
     this.consume('keyword', 'allow');
     const name = this.consume('identifier').value;
     this.consume('keyword', 'can');
-    const permission = this.consume('keyword').value;
-    if (!['read', 'write', 'run'].includes(permission)) {
-      throw new Error(`Expected read, write, or run, got ${permission} at ${this.peek().line}:${this.peek().column}`);
+    const token = this.peek();
+    if (!['read', 'write', 'run'].includes(token.value)) {
+      throw new Error(`Expected read, write, or run, got ${token.value} at ${token.line}:${token.column}`);
     }
+    const permission = this.consume('identifier').value;
     const target = this.consume('identifier').value;
     this.consume('symbol', ';');
     return { type: 'AllowDecl', name, permission, target };
@@ -567,6 +796,22 @@ class Parser {
     return { type: 'LooseDecl', expr };
   }
 
+  parseBringDecl() {
+    this.consume('keyword', 'bring');
+    if (this.peek().type === 'text') {
+      const path = this.consume('text').value;
+      this.consume('symbol', ';');
+      return { type: 'BringDecl', path, name: null };
+    }
+    const name = [this.consume('identifier').value];
+    while (this.peek().value === '.') {
+      this.consume('symbol', '.');
+      name.push(this.parseFieldName());
+    }
+    this.consume('symbol', ';');
+    return { type: 'BringDecl', path: null, name };
+  }
+
   parseTargetDecl() {
     this.consume('keyword', 'target');
     const target = this.consume('text').value;
@@ -577,7 +822,7 @@ class Parser {
   parseTypeDecl() {
     this.consume('keyword', 'type');
     const name = this.consume('identifier').value;
-    this.consume('symbol', '=');
+    this.consume('operator', '=');
     const type = this.parseType();
     this.consume('symbol', ';');
     return { type: 'TypeDecl', name, type };
@@ -612,7 +857,7 @@ class Parser {
     this.consume('symbol', '{');
     const expr = this.parseExpr();
     this.consume('symbol', '}');
-    return { type: 'GuardDecl', name, type, expr };
+    return { type: 'GuardDecl', name, valueType: type, expr };
   }
 
   parseErrorDecl() {
@@ -678,6 +923,91 @@ class Parser {
     return { type: 'TestCase', name, actions, expects, onError };
   }
 
+  parseCovenantDecl() {
+    this.consume('keyword', 'covenant');
+    const name = this.consume('text').value;
+    const fields = this.parseMetadataFields();
+    return { type: 'CovenantDecl', name, fields };
+  }
+
+  parseManifestDecl() {
+    this.consume('keyword', 'manifest');
+    const fields = this.parseMetadataFields();
+    return { type: 'ManifestDecl', fields };
+  }
+
+  parseMetadataFields() {
+    this.consume('symbol', '{');
+    const fields = [];
+    while (this.peek().value !== '}') {
+      if (this.peek().type === 'line-comment' || this.peek().type === 'block-comment') {
+        this.parseNote();
+        continue;
+      }
+      const name = this.parseFieldName();
+      this.consume('symbol', ':');
+      const value = this.parseExpr();
+      fields.push({ name, value });
+      if (this.peek().value === ',' || this.peek().value === ';') {
+        this.consume('symbol', this.peek().value);
+      }
+    }
+    this.consume('symbol', '}');
+    return fields;
+  }
+
+  parseRitualDecl() {
+    this.consume('keyword', 'ritual');
+    const tags = this.parseTags();
+    const name = this.consume('identifier').value;
+    this.consume('symbol', '{');
+    let binds = [];
+    let oath = null;
+    let seal = null;
+    const body = [];
+    let onError = null;
+    while (this.peek().value !== '}') {
+      if (this.peek().value === 'binds') {
+        this.consume('keyword', 'binds');
+        this.consume('symbol', ':');
+        binds = this.parseRitualAgents();
+        this.consume('symbol', ';');
+      } else if (this.peek().type === 'identifier' && ['oath', 'seal'].includes(this.peek().value)) {
+        const field = this.consume('identifier').value;
+        this.consume('symbol', ':');
+        const value = this.parseExpr();
+        this.consume('symbol', ';');
+        if (field === 'oath') {
+          oath = value;
+        } else {
+          seal = value;
+        }
+      } else if (this.peek().value === 'on_error') {
+        onError = this.parseOnError();
+      } else {
+        body.push(this.parseAction());
+      }
+    }
+    this.consume('symbol', '}');
+    if (!oath) {
+      throw new Error(`Ritual ${name} needs an oath`);
+    }
+    return { type: 'RitualDecl', name, tags, binds, oath, seal, body, onError };
+  }
+
+  parseRitualAgents() {
+    this.consume('symbol', '[');
+    const agents = [];
+    while (this.peek().value !== ']') {
+      agents.push(this.consume('identifier').value);
+      if (this.peek().value === ',') {
+        this.consume('symbol', ',');
+      }
+    }
+    this.consume('symbol', ']');
+    return agents;
+  }
+
   parseType() {
     const token = this.peek();
     if (['num', 'word', 'bool', 'time', 'address', 'mood', 'any'].includes(token.value)) {
@@ -686,25 +1016,25 @@ class Parser {
     }
     if (token.value === 'list') {
       this.consume('keyword', 'list');
-      this.consume('symbol', '<');
+      this.consume('operator', '<');
       const typeRule = this.parseType();
-      this.consume('symbol', '>');
+      this.consume('operator', '>');
       return { type: 'ListType', typeRule };
     }
     if (token.value === 'dict') {
       this.consume('keyword', 'dict');
-      this.consume('symbol', '<');
+      this.consume('operator', '<');
       const keyType = this.parseType();
       this.consume('symbol', ',');
       const valueType = this.parseType();
-      this.consume('symbol', '>');
+      this.consume('operator', '>');
       return { type: 'DictType', keyType, valueType };
     }
     if (token.value === 'option') {
       this.consume('keyword', 'option');
-      this.consume('symbol', '<');
+      this.consume('operator', '<');
       const typeRule = this.parseType();
-      this.consume('symbol', '>');
+      this.consume('operator', '>');
       return { type: 'OptionType', typeRule };
     }
     if (token.value === 'box') {
@@ -732,7 +1062,7 @@ class Parser {
       while (this.peek().value !== ')') {
         types.push(this.parseType());
         if (this.peek().value === '|') {
-          this.consume('symbol', '|');
+          this.consume('operator', '|');
         }
       }
       this.consume('symbol', ')');
@@ -740,9 +1070,9 @@ class Parser {
     }
     if (token.value === 'future') {
       this.consume('keyword', 'future');
-      this.consume('symbol', '<');
+      this.consume('operator', '<');
       const typeRule = this.parseType();
-      this.consume('symbol', '>');
+      this.consume('operator', '>');
       return { type: 'FutureType', typeRule };
     }
     if (token.value === 'error') {
@@ -820,6 +1150,90 @@ class Parser {
     return { type: 'FnDecl', name, tags, args, returnType, body, onError };
   }
 
+  parseOpDecl() {
+    const start = this.consume('keyword', 'op');
+    const op = this.parseOperatorSymbol();
+    if (BUILTIN_OPERATORS[op] || ['=', '=>', '..', '!', '|'].includes(op)) {
+      throw new Error(`Operator ${op} is built in at ${start.line}:${start.column}`);
+    }
+    if (this.operators.has(op)) {
+      throw new Error(`Operator ${op} already declared at ${start.line}:${start.column}`);
+    }
+    const { tags, assoc, precedence } = this.parseOperatorTags();
+    this.consume('symbol', '(');
+    const args = [];
+    while (this.peek().value !== ')') {
+      const argName = this.consume('identifier').value;
+      let argType = null;
+      if (this.peek().value === ':') {
+        this.consume('symbol', ':');
+        argType = this.parseType();
+      }
+      args.push({ name: argName, type: argType });
+      if (this.peek().value === ',') {
+        this.consume('symbol', ',');
+      }
+    }
+    this.consume('symbol', ')');
+    if (args.length !== 2) {
+      throw new Error(`Operator ${op} must take two arguments at ${start.line}:${start.column}`);
+    }
+    let returnType = null;
+    if (this.peek().value === ':') {
+      this.consume('symbol', ':');
+      returnType = this.parseType();
+    }
+    this.consume('operator', '=');
+    // Declared before its body so the operator can be used recursively
+    this.operators.set(op, { assoc, precedence });
+    const expr = this.parseExpr();
+    this.consume('symbol', ';');
+    return { type: 'OpDecl', op, tags, assoc, precedence, args, returnType, expr };
+  }
+
+  parseOperatorSymbol() {
+    if (this.peek().type === 'identifier') {
+      return this.consume('identifier').value;
+    }
+    let op = this.consume('operator').value;
+    while (this.isAdjacentOperator(this.pos - 1)) {
+      op += this.consume('operator').value;
+    }
+    return op;
+  }
+
+  // True when the token after index continues an operator without whitespace
+  isAdjacentOperator(index) {
+    const token = this.tokens[index];
+    const next = this.tokens[index + 1];
+    return next && next.type === 'operator' && next.line === token.line &&
+      next.column === token.column + token.value.length;
+  }
+
+  parseOperatorTags() {
+    const tags = [];
+    let assoc = 'left';
+    let precedence = 9;
+    while (this.peek().value === '[') {
+      this.consume('symbol', '[');
+      while (this.peek().value !== ']') {
+        const token = this.peek();
+        if (token.type === 'number') {
+          precedence = parseInt(this.consume('number').value);
+          if (precedence < 1 || precedence > 9) {
+            throw new Error(`Operator precedence must be between 1 and 9, got ${precedence} at ${token.line}:${token.column}`);
+          }
+        } else if (token.type === 'identifier' && ['left', 'right', 'none'].includes(token.value)) {
+          assoc = this.consume('identifier').value;
+        } else {
+          tags.push(this.consume('keyword').value);
+        }
+      }
+      this.consume('symbol', ']');
+    }
+    return { tags, assoc, precedence };
+  }
+
   parseNameOrSplit() {
     if (this.peek().value === '(') {
       this.consume('symbol', '(');
@@ -849,50 +1263,112 @@ class Parser {
     if (this.peek().value === 'recall') {
       return this.parseQueryExpr();
     }
+    if (this.peek().value === 'ask') {
+      return this.parseAskExpr();
+    }
     return this.parseLogicExpr();
   }
 
+  parseCondition() {
+    const previous = this.noBoxExpr;
+    this.noBoxExpr = true;
+    try {
+      return this.parseExpr();
+    } finally {
+      this.noBoxExpr = previous;
+    }
+  }
+
   parseLogicExpr() {
-    let expr = this.parseCompareExpr();
-    while (this.peek().type === 'operator' && ['&&', '||'].includes(this.peek().value)) {
-      const op = this.consume('operator').value;
-      const right = this.parseCompareExpr();
-      expr = { type: 'BinaryExpr', op, left: expr, right };
+    return this.parseInfixExpr(1);
+  }
+
+  // Precedence climbing over the built-in and declared infix operators
+  parseInfixExpr(minPrecedence) {
+    let expr = this.parseFactorExpr();
+    let previous = null;
+    let operator = this.peekInfixOperator();
+    while (operator && operator.precedence >= minPrecedence) {
+      if (previous && previous.precedence === operator.precedence &&
+        (previous.assoc !== operator.assoc || operator.assoc === 'none')) {
+        const token = this.peek();
+        throw new Error(`Cannot chain ${previous.op} and ${operator.op} without parentheses at ${token.line}:${token.column}`);
+      }
+      this.pos += operator.length;
+      const right = this.parseInfixExpr(operator.assoc === 'right' ? operator.precedence : operator.precedence + 1);
+      expr = { type: 'BinaryExpr', op: operator.op, left: expr, right };
+      if (operator.custom) {
+        expr.custom = true;
+      }
+      previous = operator;
+      operator = this.peekInfixOperator();
     }
     return expr;
   }
 
-  parseCompareExpr() {
-    let expr = this.parseMathExpr();
-    while (this.peek().type === 'operator' && ['==', '!=', '>', '<', '>=', '<='].includes(this.peek().value)) {
-      const op = this.consume('operator').value;
-      const right = this.parseMathExpr();
-      expr = { type: 'BinaryExpr', op, left: expr, right };
+  peekInfixOperator() {
+    const token = this.peek();
+    if (token.type === 'identifier' && this.operators.has(token.value)) {
+      return { op: token.value, length: 1, custom: true, ...this.operators.get(token.value) };
+    }
+    if (token.type !== 'operator') {
+      return null;
+    }
+    // The longest run of adjacent operator tokens that names a declared operator wins
+    let op = token.value;
+    let length = 1;
+    let match = this.operators.has(op) ? { op, length } : null;
+    while (this.isAdjacentOperator(this.pos + length - 1)) {
+      op += this.tokens[this.pos + length].value;
+      length++;
+      if (this.operators.has(op)) {
+        match = { op, length };
+      }
     }
-    return expr;
+    if (match) {
+      return { ...match, custom: true, ...this.operators.get(match.op) };
+    }
+    if (BUILTIN_OPERATORS[token.value]) {
+      return { op: token.value, length: 1, custom: false, ...BUILTIN_OPERATORS[token.value] };
+    }
+    return null;
   }
 
-  parseMathExpr() {
-    let expr = this.parseTermExpr();
-    while (this.peek().type === 'operator' && ['+', '-'].includes(this.peek().value)) {
-      const op = this.consume('operator').value;
-      const right = this.parseTermExpr();
-      expr = { type: 'BinaryExpr', op, left: expr, right };
+  parseFactorExpr() {
+    return this.parsePostfixExpr(this.parsePrimaryExpr());
+  }
+
+  parsePostfixExpr(expr) {
+    while (['.', '['].includes(this.peek().value) || (this.peek().value === '(' && expr.type === 'MemberExpr')) {
+      if (this.peek().value === '.') {
+        this.consume('symbol', '.');
+        expr = { type: 'MemberExpr', object: expr, field: this.parseFieldName() };
+      } else if (this.peek().value === '(') {
+        // Qualified calls such as signal_hub.core.broadcast(msg)
+        expr = { type: 'Call', name: null, callee: expr, args: this.parseCallArgs() };
+      } else {
+        this.consume('symbol', '[');
+        const previous = this.noBoxExpr;
+        this.noBoxExpr = false;
+        const index = this.parseExpr();
+        this.noBoxExpr = previous;
+        this.consume('symbol', ']');
+        expr = { type: 'IndexExpr', object: expr, index };
+      }
     }
     return expr;
   }
 
-  parseTermExpr() {
-    let expr = this.parseFactorExpr();
-    while (this.peek().type === 'operator' && ['*', '/', '%'].includes(this.peek().value)) {
-      const op = this.consume('operator').value;
-      const right = this.parseFactorExpr();
-      expr = { type: 'BinaryExpr', op, left: expr, right };
+  parseFieldName() {
+    const token = this.peek();
+    if (token.type !== 'identifier' && token.type !== 'keyword') {
+      throw new Error(`Expected field name, got ${token.value} at ${token.line}:${token.column}`);
     }
-    return expr;
+    this.pos++;
+    return token.value;
   }
 
-  parseFactorExpr() {
+  parsePrimaryExpr() {
     const token = this.peek();
     if (token.type === 'number' || token.type === 'decimal') {
       this.pos++;
@@ -914,22 +1390,32 @@ class Parser {
       this.pos++;
       return { type: 'Literal', value: token.value === 'true' ? true : token.value === 'false' ? false : null };
     }
+    if (token.type === 'keyword' && token.value === 'manifest') {
+      this.pos++;
+      return { type: 'ManifestExpr' };
+    }
+    if (token.type === 'keyword' && token.value === 'dequeue') {
+      this.pos++;
+      return { type: 'DequeueExpr', target: this.parseFactorExpr() };
+    }
     if (token.type === 'identifier') {
       this.pos++;
       if (this.peek().value === '(') {
         return this.parseCall(token.value);
       }
-      if (this.peek().value === '{') {
+      if (this.peek().value === '{' && !this.noBoxExpr) {
         return this.parseBoxExpr(token.value);
       }
       return { type: 'Identifier', value: token.value };
     }
     if (token.value === '(') {
       this.consume('symbol', '(');
-      if institución
+      if (this.peek().value === ')') {
         this.consume('symbol', ')');
         return { type: 'GroupExpr', elements: [] };
       }
+      const previous = this.noBoxExpr;
+      this.noBoxExpr = false;
       const expr = this.parseExpr();
       if (this.peek().value === ',') {
         const elements = [expr];
@@ -938,9 +1424,11 @@ class Parser {
           elements.push(this.parseExpr());
         }
         this.consume('symbol', ')');
+        this.noBoxExpr = previous;
         return { type: 'GroupExpr', elements };
       }
       this.consume('symbol', ')');
+      this.noBoxExpr = previous;
       return expr;
     }
     if (token.value === '{') {
@@ -958,7 +1446,13 @@ class Parser {
   }
 
   parseCall(name) {
+    return { type: 'Call', name, args: this.parseCallArgs() };
+  }
+
+  parseCallArgs() {
     this.consume('symbol', '(');
+    const previous = this.noBoxExpr;
+    this.noBoxExpr = false;
     const args = [];
     while (this.peek().value !== ')') {
       args.push(this.parseExpr());
@@ -967,14 +1461,20 @@ class Parser {
       }
     }
     this.consume('symbol', ')');
-    return { type: 'Call', name, args };
+    this.noBoxExpr = previous;
+    return args;
+  }
+
+  // Keys of dict and box literals may be keywords, as in { user: "alice" }, since a : always follows them
+  parseEntryKey() {
+    return this.consume(this.peek().type === 'keyword' ? 'keyword' : 'identifier').value;
   }
 
   parseDictExpr() {
     this.consume('symbol', '{');
     const entries = [];
     while (this.peek().value !== '}') {
-      const key = this.consume('identifier').value;
+      const key = this.parseEntryKey();
       this.consume('symbol', ':');
       const value = this.parseExpr();
       entries.push({ key, value });
@@ -1006,7 +1506,7 @@ class Parser {
     this.consume('symbol', '{');
     const entries = [];
     while (this.peek().value !== '}') {
-      const key = this.consume('identifier').value;
+      const key = this.parseEntryKey();
       this.consume('symbol', ':');
       const value = this.parseExpr();
       entries.push({ key, value });
@@ -1066,11 +1566,14 @@ class Parser {
     const query = this.consume('text').value;
     this.consume('symbol', ')');
     this.consume('keyword', 'returns');
-    const type = this.parseType();
-    return { type: 'QueryExpr', query, type };
+    const returnType = this.parseType();
+    return { type: 'QueryExpr', query, returnType };
   }
 
   parseAction() {
+    if (this.peek().type === 'line-comment' || this.peek().type === 'block-comment') {
+      return this.parseNote();
+    }
     if (this.peek().type === 'keyword') {
       switch (this.peek().value) {
         case 'set':
@@ -1081,6 +1584,9 @@ class Parser {
           return this.parseLoopAction();
         case 'while':
           return this.parseWhileAction();
+        case 'break':
+        case 'continue':
+          return this.parseLoopControlAction();
         case 'match':
           return this.parseMatchAction();
         case 'try':
@@ -1101,6 +1607,8 @@ class Parser {
           return this.parseSocketAction();
         case 'subscribe':
           return this.parseSubscribeAction();
+        case 'unsubscribe':
+          return this.parseUnsubscribeAction();
         case 'audit':
           return this.parseAuditAction();
         case 'hash':
@@ -1113,14 +1621,93 @@ class Parser {
           return this.parseWaitAction();
         case 'ask':
           return this.parseAskAction();
+        case 'enqueue':
+          return this.parseEnqueueAction();
+        case 'consume':
+          return this.parseConsumeAction();
+        case 'emit':
+          return this.parseEmitAction();
         default:
           throw new Error(`Unsupported action ${this.peek().value} at ${this.peek().line}:${this.peek().column}`);
       }
     }
+    if (this.peek().type === 'identifier' && this.peek().value === 'vote') {
+      return this.parseVoteAction();
+    }
+    if (this.peek().type === 'identifier' && this.peek().value === 'seal') {
+      return this.parseSealAction();
+    }
     throw new Error(`Expected action, got ${this.peek().value} at ${this.peek().line}:${this.peek().column}`);
   }
 
+  parseVoteAction() {
+    this.consume('identifier', 'vote');
+    const proposal = this.consume('identifier').value;
+    let choice;
+    if (['yes', 'no', 'abstain'].includes(this.peek().value) && this.peek().type === 'identifier') {
+      choice = { type: 'Text', value: this.consume('identifier').value };
+    } else {
+      choice = this.parseExpr();
+    }
+    let voter = null;
+    if (this.peek().value === 'by') {
+      this.consume('keyword', 'by');
+      voter = this.consume('identifier').value;
+    }
+    this.consume('symbol', ';');
+    return { type: 'VoteAction', proposal, choice, voter };
+  }
+
+  parseEnqueueAction() {
+    this.consume('keyword', 'enqueue');
+    const value = this.parseExpr();
+    this.consume('keyword', 'to');
+    const target = this.parseExpr();
+    this.consume('symbol', ';');
+    return { type: 'EnqueueAction', value, target };
+  }
+
+  parseEmitAction() {
+    this.consume('keyword', 'emit');
+    const event = this.consume('text').value;
+    let value = null;
+    if (this.peek().value === 'with') {
+      this.consume('keyword', 'with');
+      value = this.parseExpr();
+    }
+    this.consume('symbol', ';');
+    return { type: 'EmitAction', event, value };
+  }
+
+  parseConsumeAction() {
+    this.consume('keyword', 'consume');
+    const target = this.parseCondition();
+    let name = 'it';
+    if (this.peek().value === 'as') {
+      this.consume('identifier', 'as');
+      name = this.consume('identifier').value;
+    }
+    this.consume('symbol', '{');
+    const body = [];
+    let onError = null;
+    while (this.peek().value !== '}') {
+      if (this.peek().value === 'on_error') {
+        onError = this.parseOnError();
+      } else {
+        body.push(this.parseAction());
+      }
+    }
+    this.consume('symbol', '}');
+    return { type: 'ConsumeAction', target, name, body, onError };
+  }
+
   parseAskAction() {
+    const query = this.parseAskExpr();
+    this.consume('symbol', ';');
+    return { ...query, type: 'AskAction' };
+  }
+
+  parseAskExpr() {
     this.consume('keyword', 'ask');
     const name = this.consume('identifier').value;
     let where = null;
@@ -1129,15 +1716,31 @@ class Parser {
       where = this.parseExpr();
     }
     this.consume('keyword', 'returns');
-    const type = this.parseType();
-    this.consume('symbol', ';');
-    return { type: 'AskAction', name, where, type };
+    const returnType = this.parseType();
+    return { type: 'AskExpr', name, where, returnType };
   }
 
   parseSetAction() {
     this.consume('keyword', 'set');
-    const target = this.parseNameOrSplit();
-    this.consume('symbol', '=');
+    if (this.peek().type === 'identifier' && this.tokens[this.pos + 1]?.value === ':') {
+      const name = this.consume('identifier').value;
+      this.consume('symbol', ':');
+      const box = this.parseBoxExpr();
+      this.consume('symbol', ';');
+      return { type: 'SetBoxAction', name, box };
+    }
+    let target = this.parseNameOrSplit();
+    if (target.type === 'Name' && ['.', '['].includes(this.peek().value)) {
+      target = this.parsePostfixExpr({ type: 'Identifier', value: target.value });
+      if (target.type === 'Call') {
+        const token = this.peek();
+        throw new Error(`Cannot assign to a call at ${token.line}:${token.column}`);
+      }
+    }
+    this.consume('operator', '=');
+    if (target.type === 'Name' && this.peek().value === 'keygen') {
+      return this.parseKeygenAction(target.value);
+    }
     const value = this.parseExpr();
     this.consume('symbol', ';');
     return { type: 'SetAction', target, value };
@@ -1145,7 +1748,7 @@ class Parser {
 
   parseIfAction() {
     this.consume('keyword', 'if');
-    const condition = this.parseExpr();
+    const condition = this.parseCondition();
     this.consume('symbol', '{');
     const thenBranch = [];
     let onError = null;
@@ -1176,12 +1779,34 @@ class Parser {
 
   parseLoopAction() {
     this.consume('keyword', 'loop');
+    const label = this.parseLoopLabel();
     const target = this.parseNameOrSplit();
     this.consume('keyword', 'in');
-    const range = this.parseRange();
+    const source = this.parseCondition();
+    const range = this.peek().value === '..' ? this.parseRange(source) : null;
+    const iterable = range ? null : source;
+    const { body, onError } = this.parseLoopBody(label);
+    return { type: 'LoopAction', label, target, range, iterable, body, onError };
+  }
+
+  parseLoopLabel() {
+    const next = this.tokens[this.pos + 1];
+    if (this.peek().type === 'identifier' && next && next.value === ':') {
+      const label = this.consume('identifier').value;
+      this.consume('symbol', ':');
+      if (this.loopLabels.includes(label)) {
+        throw new Error(`Duplicate loop label ${label} at ${this.peek().line}:${this.peek().column}`);
+      }
+      return label;
+    }
+    return null;
+  }
+
+  parseLoopBody(label) {
     this.consume('symbol', '{');
     const body = [];
     let onError = null;
+    this.loopLabels.push(label);
     while (this.peek().value !== '}') {
       if (this.peek().value === 'on_error') {
         onError = this.parseOnError();
@@ -1189,37 +1814,54 @@ class Parser {
         body.push(this.parseAction());
       }
     }
+    this.loopLabels.pop();
     this.consume('symbol', '}');
-    return { type: 'LoopAction', target, range, body, onError };
+    return { body, onError };
   }
 
-  parseRange() {
-    const start = this.parseExpr();
+  parseLoopControlAction() {
+    const token = this.consume('keyword');
+    let label = null;
+    if (this.peek().type === 'identifier') {
+      label = this.consume('identifier').value;
+    }
+    if (this.loopLabels.length === 0) {
+      throw new Error(`${token.value} outside of a loop at ${token.line}:${token.column}`);
+    }
+    if (label && !this.loopLabels.includes(label)) {
+      throw new Error(`Unknown loop label ${label} at ${token.line}:${token.column}`);
+    }
+    this.consume('symbol', ';');
+    return { type: token.value === 'break' ? 'BreakAction' : 'ContinueAction', label };
+  }
+
+  parseRange(start) {
     this.consume('operator', '..');
-    const end = this.parseExpr();
-    return { start, end };
+    let exclusive = false;
+    if (this.peek().value === '<') {
+      this.consume('operator', '<');
+      exclusive = true;
+    }
+    const end = this.parseCondition();
+    let step = null;
+    if (this.peek().value === 'by') {
+      this.consume('keyword', 'by');
+      step = this.parseCondition();
+    }
+    return { start, end, step, exclusive };
   }
 
   parseWhileAction() {
     this.consume('keyword', 'while');
-    const condition = this.parseExpr();
-    this.consume('symbol', '{');
-    const body = [];
-    let onError = null;
-    while (this.peek().value !== '}') {
-      if (this.peek().value === 'on_error') {
-        onError = this.parseOnError();
-      } else {
-        body.push(this.parseAction());
-      }
-    }
-    this.consume('symbol', '}');
-    return { type: 'WhileAction', condition, body, onError };
+    const label = this.parseLoopLabel();
+    const condition = this.parseCondition();
+    const { body, onError } = this.parseLoopBody(label);
+    return { type: 'WhileAction', label, condition, body, onError };
   }
 
   parseMatchAction() {
     this.consume('keyword', 'match');
-    const expr = this.parseExpr();
+    const expr = this.parseCondition();
     if (this.peek().value === '=>') {
       this.consume('operator', '=>');
       const action = this.parseAction();
@@ -1324,15 +1966,15 @@ class Parser {
 
   parseReturnAction() {
     this.consume('keyword', 'return');
-    let type = null;
+    let returnType = null;
     if (this.peek().value === '(') {
       this.consume('symbol', '(');
-      type = this.parseType();
+      returnType = this.parseType();
       this.consume('symbol', ')');
     }
     const value = this.parseExpr();
     this.consume('symbol', ';');
-    return { type: 'ReturnAction', type, value };
+    return { type: 'ReturnAction', returnType, value };
   }
 
   parseSayAction() {
@@ -1367,7 +2009,7 @@ class Parser {
     this.consume('symbol', '(');
     const key = this.consume('text').value;
     this.consume('symbol', ',');
-    this.consume('keyword', 'reason');
+    this.consume('identifier', 'reason');
     this.consume('symbol', ':');
     const reason = this.consume('text').value;
     this.consume('symbol', ')');
@@ -1407,6 +2049,11 @@ class Parser {
   parseSubscribeAction() {
     this.consume('keyword', 'subscribe');
     const topic = this.consume('text').value;
+    let handle = null;
+    if (this.peek().value === 'as') {
+      this.consume('identifier', 'as');
+      handle = this.consume('identifier').value;
+    }
     this.consume('keyword', 'on_event');
     this.consume('symbol', '{');
     const actions = [];
@@ -1419,7 +2066,14 @@ class Parser {
       }
     }
     this.consume('symbol', '}');
-    return { type: 'SubscribeAction', topic, actions, onError };
+    return { type: 'SubscribeAction', topic, handle, actions, onError };
+  }
+
+  parseUnsubscribeAction() {
+    this.consume('keyword', 'unsubscribe');
+    const subscription = this.parseExpr();
+    this.consume('symbol', ';');
+    return { type: 'UnsubscribeAction', subscription };
   }
 
   parseAuditAction() {
@@ -1437,7 +2091,7 @@ class Parser {
     if (action === 'hash') {
       this.consume('keyword', 'set');
       const name = this.consume('identifier').value;
-      this.consume('symbol', '=');
+      this.consume('operator', '=');
       this.consume('keyword', 'hash');
       this.consume('symbol', '(');
       const algo = this.consume('text').value;
@@ -1449,89 +2103,102 @@ class Parser {
     }
     if (action === 'verify') {
       this.consume('keyword', 'signature');
-      this.consume('keyword', 'with Hebrew
-        this.consume('keyword', 'with');
-        const expr = this.parseExpr();
-        this.consume('keyword', 'returns');
-        this.consume('keyword', 'bool');
-        this.consume('symbol', ';');
-        return { type: 'VerifyAction', expr };
-      }
-      if (action === 'zk_proof') {
-        this.consume('keyword', 'check');
-        this.consume('keyword', 'zk_proof');
-        this.consume('symbol', '(');
-        const proof = this.consume('text').value;
-        this.consume('symbol', ')');
-        this.consume('keyword', 'for');
-        this.consume('keyword', 'job');
-        const name = this.consume('identifier').value;
-        this.consume('keyword', 'returns');
-        this.consume('keyword', 'bool');
-        this.consume('symbol', ';');
-        return { type: 'ZkProofAction', proof, name };
-      }
-      if (action === 'keygen') {
-        this.consume('keyword', 'set');
-        const name = this.consume('identifier').value;
-        this.consume('symbol', '=');
-        this.consume('keyword', 'keygen');
-        const algo = this.consume('text').value;
-        this.consume('keyword', 'returns');
-        this.consume('keyword', 'text');
-        this.consume('symbol', ';');
-        return { type: 'KeygenAction', name, algo };
-      }
-      if (action === 'multisig') {
-        this.consume('keyword', 'check');
-        this.consume('keyword', 'multisig');
-        this.consume('symbol', '[');
-        const signatures = [];
-        while (this.peek().value !== ']') {
-          signatures.push(this.consume('text').value);
-          if (this.peek().value === ',') {
-            this.consume('symbol', ',');
-          }
-        }
-        this.consume('symbol', ']');
-        this.consume('keyword', 'threshold');
-        const threshold = this.consume('number').value;
-        this.consume('keyword', 'for');
-        this.consume('keyword', 'job');
-        const name = this.consume('identifier').value;
-        this.consume('keyword', 'returns');
-        this.consume('keyword', 'bool');
-        this.consume('symbol', ';');
-        return { type: 'MultisigAction', signatures, threshold: parseInt(threshold), name };
-      }
-      throw new Error(`Unexpected crypto action ${action} at ${this.peek().line}:${this.peek().column}`);
-    }
-    parseWaitAction() {
-      this.consume('keyword', 'wait');
+      this.consume('keyword', 'with');
       const expr = this.parseExpr();
+      this.consume('keyword', 'returns');
+      this.consume('keyword', 'bool');
       this.consume('symbol', ';');
-      return { type: 'WaitAction', expr };
+      return { type: 'VerifyAction', expr };
     }
-  
-    parseOnError() {
-      this.consume('keyword', 'on_error');
-      let errorName = null;
-      if (this.peek().value === '(') {
-        this.consume('symbol', '(');
-        errorName = this.consume('identifier').value;
-        this.consume('symbol', ':');
-        this.consume('keyword', 'error');
-        this.consume('identifier');
-        this.consume('symbol', ')');
-      }
-      this.consume('symbol', '{');
-      const body = [];
-      while (this.peek().value !== '}') {
-        body.push(this.parseAction());
+    if (action === 'zk_proof') {
+      this.consume('keyword', 'check');
+      this.consume('keyword', 'zk_proof');
+      this.consume('symbol', '(');
+      const proof = this.consume('text').value;
+      this.consume('symbol', ')');
+      this.consume('keyword', 'for');
+      this.consume('keyword', 'job');
+      const name = this.consume('identifier').value;
+      this.consume('keyword', 'returns');
+      this.consume('keyword', 'bool');
+      this.consume('symbol', ';');
+      return { type: 'ZkProofAction', proof, name };
+    }
+    if (action === 'keygen') {
+      this.consume('keyword', 'set');
+      const name = this.consume('identifier').value;
+      this.consume('operator', '=');
+      return this.parseKeygenAction(name);
+    }
+    if (action === 'multisig') {
+      this.consume('keyword', 'check');
+      this.consume('keyword', 'multisig');
+      this.consume('symbol', '[');
+      const signatures = [];
+      while (this.peek().value !== ']') {
+        signatures.push(this.consume('text').value);
+        if (this.peek().value === ',') {
+          this.consume('symbol', ',');
+        }
       }
-      this.consume('symbol', '}');
-      return { type: 'OnError', errorName, body };
+      this.consume('symbol', ']');
+      this.consume('keyword', 'threshold');
+      const threshold = this.consume('number').value;
+      this.consume('keyword', 'for');
+      this.consume('keyword', 'job');
+      const name = this.consume('identifier').value;
+      this.consume('keyword', 'returns');
+      this.consume('keyword', 'bool');
+      this.consume('symbol', ';');
+      return { type: 'MultisigAction', signatures, threshold: parseInt(threshold), name };
+    }
+    throw new Error(`Unexpected crypto action ${action} at ${this.peek().line}:${this.peek().column}`);
+  }
+
+  parseKeygenAction(name) {
+    this.consume('keyword', 'keygen');
+    const algo = this.consume('text').value;
+    this.consume('keyword', 'returns');
+    this.consume('identifier', 'text');
+    this.consume('symbol', ';');
+    return { type: 'KeygenAction', name, algo };
+  }
+
+  parseSealAction() {
+    this.consume('identifier', 'seal');
+    const ritual = this.consume('identifier').value;
+    this.consume('keyword', 'with');
+    const agents = this.parseExpr();
+    this.consume('symbol', ';');
+    return { type: 'SealAction', ritual, agents };
+  }
+
+  parseWaitAction() {
+    this.consume('keyword', 'wait');
+    const expr = this.parseExpr();
+    this.consume('symbol', ';');
+    return { type: 'WaitAction', expr };
+  }
+
+  parseOnError() {
+    this.consume('keyword', 'on_error');
+    let errorName = null;
+    if (this.peek().value === '(') {
+      this.consume('symbol', '(');
+      errorName = this.consume('identifier').value;
+      this.consume('symbol', ':');
+      this.consume('keyword', 'error');
+      this.consume('identifier');
+      this.consume('symbol', ')');
     }
+    this.consume('symbol', '{');
+    const body = [];
+    while (this.peek().value !== '}') {
+      body.push(this.parseAction());
+    }
+    this.consume('symbol', '}');
+    return { type: 'OnError', errorName, body };
   }
-  
-  module.exports = Parser;
+}
+
+module.exports = Parser;
@@ -0,0 +1,162 @@
+/**
+ * Queue with at-least-once delivery: a message leaves the queue only once its consumer
+ * finishes without error, so a crash mid-delivery redelivers it from the persisted state.
+ */
+class MessageQueue {
+  /**
+   * @param {string} name - Queue name, also used for its storage key
+   * @param {Object} [options]
+   * @param {number|null} [options.limit] - Most messages the queue holds before enqueue is refused
+   * @param {number} [options.retries] - Redeliveries after a failed delivery before a message is dead-lettered
+   * @param {MessageQueue|null} [options.dead] - Queue that receives dead-lettered messages
+   * @param {Object|null} [options.storage] - Storage backend to persist the queue through
+   * @throws {Error} If an option is out of range
+   */
+  constructor(name, { limit = null, retries = 3, dead = null, storage = null } = {}) {
+    if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+      throw new Error(`Queue ${name} limit must be a positive integer, got ${limit}`);
+    }
+    if (!(Number.isInteger(retries) && retries >= 0)) {
+      throw new Error(`Queue ${name} retries must be a non-negative integer, got ${retries}`);
+    }
+    if (dead !== null && !(dead instanceof MessageQueue)) {
+      throw new Error(`Queue ${name} can only dead-letter into another queue`);
+    }
+    this.type = 'Queue';
+    this.name = name;
+    this.queue = []; // Pending messages, oldest first
+    this.attempts = []; // Failed deliveries so far of each pending message
+    this.deadLetters = []; // Messages that ran out of retries, when there is no dead queue
+    this.limit = limit;
+    this.retries = retries;
+    this.dead = dead;
+    this.storage = storage;
+    this.key = `queue:${name}`; // Storage key of the persisted state
+    this.consumer = null;
+    this.draining = false;
+  }
+
+  /**
+   * Restores pending messages and dead letters from storage, if the queue is persisted.
+   */
+  async load() {
+    const state = this.storage ? await this.storage.get(this.key) : null;
+    if (state) {
+      this.queue = state.messages;
+      this.attempts = state.attempts;
+      this.deadLetters = state.deadLetters;
+    }
+  }
+
+  async save() {
+    if (this.storage) {
+      await this.storage.set(this.key, { messages: this.queue, attempts: this.attempts, deadLetters: this.deadLetters });
+    }
+  }
+
+  /**
+   * Adds a message and, if the queue has a consumer, delivers pending messages.
+   * @param {any} message - Message value
+   * @throws {Error} If the queue is still full after its consumer has caught up
+   */
+  async enqueue(message) {
+    if (this.isFull() && this.consumer && !this.draining) {
+      await this.drain();
+    }
+    if (this.isFull()) {
+      throw new Error(`Queue ${this.name} is full (limit ${this.limit})`);
+    }
+    this.queue.push(message);
+    this.attempts.push(0);
+    await this.save();
+    await this.drain();
+  }
+
+  /**
+   * Takes the oldest message without a consumer; it counts as delivered once taken.
+   * @returns {Promise<any>} Message, or null if the queue is empty
+   */
+  async dequeue() {
+    if (this.queue.length === 0) {
+      return null;
+    }
+    const message = this.queue.shift();
+    this.attempts.shift();
+    await this.save();
+    return message;
+  }
+
+  /**
+   * Attaches the consumer and delivers every pending message to it.
+   * @param {Function} consumer - async (message) => void; throwing marks the delivery as failed
+   * @throws {Error} If the queue already has a consumer
+   */
+  async consume(consumer) {
+    if (this.consumer) {
+      throw new Error(`Queue ${this.name} already has a consumer`);
+    }
+    this.consumer = consumer;
+    await this.drain();
+  }
+
+  isFull() {
+    return this.limit !== null && this.queue.length >= this.limit;
+  }
+
+  // Messages enqueued during a delivery are picked up by the drain already running
+  async drain() {
+    if (!this.consumer || this.draining) {
+      return;
+    }
+    this.draining = true;
+    try {
+      while (this.queue.length > 0) {
+        const message = this.queue[0];
+        let error = null;
+        try {
+          await this.consumer(message);
+        } catch (e) {
+          error = e;
+        }
+        const attempts = this.attempts[0] + 1;
+        if (error && attempts > this.retries) {
+          await this.deadLetter(message, error, attempts);
+        }
+        this.queue.shift();
+        this.attempts.shift();
+        if (error && attempts <= this.retries) {
+          // Retries go to the back so one bad message does not hold up the rest
+          this.queue.push(message);
+          this.attempts.push(attempts);
+        }
+        await this.save();
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async deadLetter(message, error, attempts) {
+    if (this.dead) {
+      await this.dead.enqueue(message);
+    } else {
+      this.deadLetters.push({ message, error: error.message, attempts, at: new Date() });
+    }
+  }
+
+  /**
+   * Describes the queue for the host.
+   * @returns {Object} { name, size, limit, retries, deadLetters }
+   */
+  describe() {
+    return {
+      name: this.name,
+      size: this.queue.length,
+      limit: this.limit,
+      retries: this.retries,
+      deadLetters: this.deadLetters.map(letter => ({ ...letter }))
+    };
+  }
+}
+
+module.exports = { MessageQueue };
@@ -0,0 +1,134 @@
+const { matchesTopic } = require('./events');
+
+/**
+ * Scores users from recorded evidence. Each piece of evidence is an event of some kind,
+ * worth the weight configured for that kind; with a half-life, older evidence counts for
+ * less, so a score drifts back to the base when nothing new happens.
+ */
+class Reputation {
+  /**
+   * @param {string} name - Reputation name, also used for its storage key
+   * @param {Object} [options]
+   * @param {Object} [options.weights] - Weight by event kind; kinds may use * segments like topics
+   * @param {number|null} [options.halfLife] - Milliseconds after which evidence counts half, or null for no decay
+   * @param {number} [options.base] - Score of a user with no evidence
+   * @param {number|null} [options.min] - Lowest score
+   * @param {number|null} [options.max] - Highest score
+   * @param {Object|null} [options.storage] - Storage backend to persist evidence through
+   * @throws {Error} If a weight is not a number or the bounds are reversed
+   */
+  constructor(name, { weights = {}, halfLife = null, base = 0, min = null, max = null, storage = null } = {}) {
+    for (const [kind, weight] of Object.entries(weights)) {
+      if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+        throw new Error(`Reputation ${name} weight of ${kind} must be a number, got ${weight}`);
+      }
+    }
+    if (min !== null && max !== null && min > max) {
+      throw new Error(`Reputation ${name} min ${min} is above its max ${max}`);
+    }
+    this.type = 'Reputation';
+    this.name = name;
+    this.weights = weights;
+    this.halfLife = halfLife;
+    this.base = base;
+    this.min = min;
+    this.max = max;
+    this.storage = storage;
+    this.key = `reputation:${name}`;
+    this.evidence = new Map(); // Evidence by user, oldest first: { kind, weight, at, detail }
+  }
+
+  /**
+   * Restores evidence from storage, if the reputation is persisted.
+   */
+  async load() {
+    const state = this.storage ? await this.storage.get(this.key) : null;
+    if (state) {
+      this.evidence = new Map(Object.entries(state));
+    }
+  }
+
+  async save() {
+    if (this.storage) {
+      await this.storage.set(this.key, Object.fromEntries(this.evidence));
+    }
+  }
+
+  /**
+   * Weight of an event kind; the first configured kind that matches wins.
+   * @param {string} kind - Event kind, such as job.completed
+   * @returns {number|null} Weight, or null if the reputation does not count this kind
+   */
+  weightOf(kind) {
+    const pattern = Object.keys(this.weights).find(candidate => matchesTopic(candidate, kind));
+    return pattern === undefined ? null : this.weights[pattern];
+  }
+
+  /**
+   * Records evidence about a user.
+   * @param {string} user - Who the evidence is about
+   * @param {string} kind - Event kind
+   * @param {Object} [options]
+   * @param {number} [options.at] - Time in milliseconds
+   * @param {number|null} [options.weight] - Weight to use instead of the configured one
+   * @param {any} [options.detail] - What happened, kept in the history
+   * @returns {Promise<Object>} The recorded evidence
+   * @throws {Error} If the kind has no weight and none is given
+   */
+  async record(user, kind, { at = Date.now(), weight = null, detail = null } = {}) {
+    const worth = weight !== null ? weight : this.weightOf(kind);
+    if (worth === null) {
+      throw new Error(`Reputation ${this.name} has no weight for ${kind}`);
+    }
+    const evidence = { kind, weight: worth, at: new Date(at).toISOString(), detail };
+    if (!this.evidence.has(user)) {
+      this.evidence.set(user, []);
+    }
+    this.evidence.get(user).push(evidence);
+    await this.save();
+    return { ...evidence };
+  }
+
+  // How much evidence still counts at a time: 1 when new, 0.5 after one half-life
+  decayAt(evidence, now) {
+    if (this.halfLife === null) {
+      return 1;
+    }
+    const age = Math.max(0, now - Date.parse(evidence.at));
+    return 0.5 ** (age / this.halfLife);
+  }
+
+  /**
+   * A user's score at a time.
+   * @param {string} user - User
+   * @param {number} now - Time in milliseconds
+   * @returns {number} Score, within min and max when set
+   */
+  score(user, now) {
+    const total = (this.evidence.get(user) || [])
+      .reduce((sum, evidence) => sum + evidence.weight * this.decayAt(evidence, now), this.base);
+    const low = this.min !== null ? Math.max(this.min, total) : total;
+    // Rounded so decay does not leave scores like 49.99999999
+    return Number((this.max !== null ? Math.min(this.max, low) : low).toFixed(6));
+  }
+
+  /**
+   * The evidence behind a user's score, with what each piece still contributes.
+   * @param {string} user - User
+   * @param {number} now - Time in milliseconds
+   * @returns {Object[]} { kind, weight, at, detail, contribution }, oldest first
+   */
+  history(user, now) {
+    return (this.evidence.get(user) || []).map(evidence => ({
+      ...evidence,
+      at: new Date(evidence.at),
+      contribution: Number((evidence.weight * this.decayAt(evidence, now)).toFixed(6))
+    }));
+  }
+
+  users() {
+    return [...this.evidence.keys()];
+  }
+}
+
+module.exports = { Reputation };
@@ -0,0 +1,533 @@
+const MINUTE = 60 * 1000;
+const DURATION_UNITS = { ms: 1, s: 1000, m: MINUTE, h: 60 * MINUTE, d: 24 * 60 * MINUTE, w: 7 * 24 * 60 * MINUTE };
+// setTimeout fires at once for longer delays, so long waits are re-armed in steps of at most this
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+// Furthest ahead a cron expression is searched before it is taken to never match
+const CRON_HORIZON = 5 * 366 * 24 * 60 * MINUTE;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+/**
+ * Parses a duration made of one or more amounts with units, such as 90s, 1h30m or 2d 4h.
+ * @param {string} text - Duration; units are ms, s, m, h, d and w
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} If the text is not a positive duration
+ */
+function parseDuration(text) {
+  const source = text.trim();
+  const pattern = /(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)\s*/y;
+  let total = 0;
+  let end = 0;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+    end = pattern.lastIndex;
+  }
+  if (end === 0 || end !== source.length || total <= 0) {
+    throw new Error(`Invalid duration ${text}; expected amounts with units, as in 90s, 1h30m or 2d 4h`);
+  }
+  return total;
+}
+
+function parseCronField(part, field) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const match = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${field.name} ${item}`);
+    }
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    let from = field.min;
+    let to = field.max;
+    if (!match[1]) {
+      from = Number(match[2]);
+      // A bare start with a step, like 5/15, runs from the start to the end of the range
+      to = match[3] !== undefined ? Number(match[3]) : match[4] !== undefined ? field.max : from;
+    }
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error(`Cron ${field.name} ${item} is outside ${field.min}-${field.max}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week) or a macro like @daily.
+ * Fields take *, numbers, ranges (1-5), lists (1,3) and steps (*\/15). Times are in UTC.
+ * @param {string} text - Cron expression
+ * @returns {Object} Allowed values of each field
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(text) {
+  const source = CRON_MACROS[text.trim()] || text.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression ${text}; expected minute hour day-of-month month day-of-week`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  // 0 and 7 both mean Sunday
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+function cronDayMatches(cron, date) {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+  // As in standard cron, restricting both day fields runs on days matching either
+  if (cron.anyDay) {
+    return weekday;
+  }
+  return cron.anyWeekday ? day : day || weekday;
+}
+
+/**
+ * Finds the first whole minute after a time that a cron expression matches.
+ * @param {Object} cron - Parsed cron expression
+ * @param {number} after - Time in milliseconds
+ * @returns {number} Next matching time in milliseconds
+ * @throws {Error} If nothing matches within five years
+ */
+function nextCronTime(cron, after) {
+  const date = new Date(Math.floor(after / MINUTE) * MINUTE + MINUTE);
+  while (date.getTime() <= after + CRON_HORIZON) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  throw new Error('Cron expression never matches');
+}
+
+/**
+ * Parses a job's when: every <duration>, an ISO timestamp, a cron expression, or a duration to wait once.
+ * @param {string} spec - Schedule text
+ * @returns {Object} { kind: 'every'|'at'|'cron'|'after', ... }
+ * @throws {Error} If the schedule is not understood
+ */
+function parseSchedule(spec) {
+  const text = spec.trim();
+  if (text.startsWith('every ')) {
+    return { kind: 'every', interval: parseDuration(text.slice('every '.length)) };
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const at = Date.parse(text);
+    if (Number.isNaN(at)) {
+      throw new Error(`Invalid timestamp ${text}`);
+    }
+    return { kind: 'at', at };
+  }
+  try {
+    return { kind: 'after', delay: parseDuration(text) };
+  } catch (e) {
+    if (text.startsWith('@') || text.split(/\s+/).length === 5) {
+      return { kind: 'cron', cron: parseCron(text) };
+    }
+    throw new Error(`Invalid schedule ${text}; expected a duration, every <duration>, an ISO timestamp or a cron expression`);
+  }
+}
+
+/**
+ * Wall-clock time. Its timers never keep the process alive on their own.
+ */
+class RealClock {
+  now() {
+    return Date.now();
+  }
+
+  setTimer(callback, delay) {
+    const timer = setTimeout(callback, delay);
+    timer.unref();
+    return timer;
+  }
+
+  clearTimer(timer) {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Clock that only moves when advanced, for running schedules in tests without waiting.
+ */
+class VirtualClock {
+  /**
+   * @param {number|Date} [start] - Starting time; defaults to the current time
+   */
+  constructor(start = Date.now()) {
+    this.time = start instanceof Date ? start.getTime() : start;
+    this.timers = []; // { id, due, callback }
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimer(callback, delay) {
+    const timer = { id: this.nextId++, due: this.time + Math.max(0, delay), callback };
+    this.timers.push(timer);
+    return timer;
+  }
+
+  clearTimer(timer) {
+    this.timers = this.timers.filter(other => other !== timer);
+  }
+
+  /**
+   * Moves time forward, running each timer that falls due in order and waiting for it to finish.
+   * @param {number} ms - Milliseconds to advance by
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+    for (;;) {
+      const due = this.timers
+        .filter(timer => timer.due <= target)
+        .sort((a, b) => a.due - b.due || a.id - b.id)[0];
+      if (!due) {
+        break;
+      }
+      this.clearTimer(due);
+      this.time = Math.max(this.time, due.due);
+      await due.callback();
+    }
+    this.time = target;
+  }
+}
+
+/**
+ * Runs named jobs on their schedules. With a storage backend, each job's progress is kept
+ * under schedule:<name> so runs missed while the program was down are caught up on restart.
+ */
+class Scheduler {
+  /**
+   * @param {Object} [options]
+   * @param {RealClock|VirtualClock} [options.clock] - Time source and timers
+   * @param {Object|null} [options.storage] - Storage backend for job progress
+   */
+  constructor({ clock = new RealClock(), storage = null } = {}) {
+    this.clock = clock;
+    this.storage = storage;
+    this.jobs = new Map();
+    this.timers = new Set(); // One-shot timers set through setTimer that have not fired yet
+    this.idleWaiters = []; // Resolvers of idle() promises
+  }
+
+  /**
+   * Runs a callback once after a delay. Unlike a bare clock timer, idle() waits for it.
+   * @param {Function} callback - async () => any; the caller handles its errors
+   * @param {number} delay - Milliseconds to wait
+   * @returns {Object} Timer to pass to clearTimer
+   */
+  setTimer(callback, delay) {
+    const timer = {};
+    timer.handle = this.clock.setTimer(async () => {
+      try {
+        await callback();
+      } finally {
+        this.timers.delete(timer);
+        this.checkIdle();
+      }
+    }, delay);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  clearTimer(timer) {
+    if (this.timers.delete(timer)) {
+      this.clock.clearTimer(timer.handle);
+      this.checkIdle();
+    }
+  }
+
+  /**
+   * Schedules a job.
+   * @param {string} name - Job name
+   * @param {string} spec - Schedule text, see parseSchedule
+   * @param {Function} run - async () => any
+   * @throws {Error} If the name is taken or the schedule is invalid
+   */
+  async add(name, spec, run) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already scheduled`);
+    }
+    const schedule = parseSchedule(spec);
+    const now = this.clock.now();
+    const job = {
+      name, spec, schedule, run, state: 'scheduled', next: null, lastRun: null, runs: 0, missed: 0, lastError: null, timer: null
+    };
+    this.jobs.set(name, job);
+    const saved = this.storage ? await this.storage.get(`schedule:${name}`) : null;
+    if (saved && saved.spec === spec) {
+      Object.assign(job, { state: saved.state, next: saved.next, lastRun: saved.lastRun, runs: saved.runs, missed: saved.missed });
+    } else {
+      job.next = this.firstRun(schedule, now);
+    }
+    if (job.state === 'scheduled' && job.next <= now) {
+      // Missed while the program was not running: count them and catch up with one run now
+      job.missed += this.countDue(job, now);
+      job.next = now;
+    }
+    await this.save(job);
+    this.arm(job);
+  }
+
+  firstRun(schedule, now) {
+    switch (schedule.kind) {
+      case 'every':
+        return now + schedule.interval;
+      case 'after':
+        return now + schedule.delay;
+      case 'at':
+        return schedule.at;
+      case 'cron':
+        return nextCronTime(schedule.cron, now);
+    }
+  }
+
+  // How many runs fell due from job.next up to now
+  countDue(job, now) {
+    if (job.schedule.kind === 'every') {
+      return Math.floor((now - job.next) / job.schedule.interval) + 1;
+    }
+    if (job.schedule.kind === 'cron') {
+      let count = 0;
+      for (let time = job.next; time <= now && count < 10000; time = nextCronTime(job.schedule.cron, time)) {
+        count++;
+      }
+      return count;
+    }
+    return 1;
+  }
+
+  // Time of the run after the one due at job.next, or null for one-off jobs
+  following(job) {
+    if (job.schedule.kind === 'every') {
+      return this.skipPast(job, job.next + job.schedule.interval);
+    }
+    if (job.schedule.kind === 'cron') {
+      return this.skipPast(job, nextCronTime(job.schedule.cron, job.next));
+    }
+    return null;
+  }
+
+  // Counts runs already in the past as missed and returns the first one still ahead
+  skipPast(job, next) {
+    const now = this.clock.now();
+    if (next > now) {
+      return next;
+    }
+    const skipped = this.countDue({ ...job, next }, now);
+    job.missed += skipped;
+    return job.schedule.kind === 'every' ? next + skipped * job.schedule.interval : nextCronTime(job.schedule.cron, now);
+  }
+
+  arm(job) {
+    if (job.state !== 'scheduled') {
+      return;
+    }
+    const delay = Math.min(Math.max(job.next - this.clock.now(), 0), MAX_TIMER_DELAY);
+    job.timer = this.clock.setTimer(() => this.fire(job), delay);
+  }
+
+  async fire(job) {
+    job.timer = null;
+    if (job.state !== 'scheduled') {
+      return;
+    }
+    if (this.clock.now() < job.next) {
+      this.arm(job);
+      return;
+    }
+    try {
+      await this.runJob(job);
+    } catch (e) {
+      job.lastError = e.message;
+    }
+  }
+
+  async runJob(job) {
+    job.state = 'running';
+    const startedAt = this.clock.now();
+    try {
+      await job.run();
+      job.lastError = null;
+    } catch (e) {
+      job.lastError = e.message;
+    }
+    job.runs++;
+    job.lastRun = startedAt;
+    // Pausing or cancelling while the job ran wins over rescheduling it
+    if (job.state === 'running') {
+      job.next = this.following(job);
+      job.state = job.next === null ? 'done' : 'scheduled';
+    }
+    await this.save(job);
+    this.arm(job);
+    this.checkIdle();
+  }
+
+  async save(job) {
+    if (this.storage && this.jobs.get(job.name) === job) {
+      const { spec, next, lastRun, runs, missed } = job;
+      const state = job.state === 'running' ? 'scheduled' : job.state;
+      await this.storage.set(`schedule:${job.name}`, { spec, state, next, lastRun, runs, missed });
+    }
+  }
+
+  find(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`No scheduled job ${name}`);
+    }
+    return job;
+  }
+
+  /**
+   * Stops a job from running until it is resumed; runs due meanwhile are skipped.
+   * @param {string} name - Job name
+   * @throws {Error} If the job is unknown, done or cancelled
+   */
+  async pause(name) {
+    const job = this.find(name);
+    if (job.state === 'done' || job.state === 'cancelled') {
+      throw new Error(`Job ${name} is ${job.state} and cannot be paused`);
+    }
+    if (job.timer) {
+      this.clock.clearTimer(job.timer);
+      job.timer = null;
+    }
+    job.state = 'paused';
+    await this.save(job);
+    this.checkIdle();
+  }
+
+  /**
+   * Restarts a paused job from its next run that is still ahead; a one-off job that came due runs now.
+   * @param {string} name - Job name
+   * @throws {Error} If the job is unknown or not paused
+   */
+  async resume(name) {
+    const job = this.find(name);
+    if (job.state !== 'paused') {
+      throw new Error(`Job ${name} is ${job.state}, not paused`);
+    }
+    const now = this.clock.now();
+    job.state = 'scheduled';
+    if (job.next <= now) {
+      job.next = ['after', 'at'].includes(job.schedule.kind) ? now : this.skipPast(job, job.next);
+    }
+    await this.save(job);
+    this.arm(job);
+  }
+
+  /**
+   * Stops a job for good; a run in progress finishes.
+   * @param {string} name - Job name
+   */
+  async cancel(name) {
+    const job = this.find(name);
+    if (job.timer) {
+      this.clock.clearTimer(job.timer);
+      job.timer = null;
+    }
+    job.state = 'cancelled';
+    job.next = null;
+    await this.save(job);
+    this.checkIdle();
+  }
+
+  /**
+   * Forgets a job and its saved progress, as when the job itself is collected.
+   * @param {string} name - Job name
+   * @returns {Promise<boolean>} True if the job was scheduled
+   */
+  async remove(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return false;
+    }
+    if (job.timer) {
+      this.clock.clearTimer(job.timer);
+      job.timer = null;
+    }
+    job.state = 'removed'; // A run in progress finishes but is not rescheduled
+    this.jobs.delete(name);
+    if (this.storage) {
+      await this.storage.delete(`schedule:${name}`);
+    }
+    this.checkIdle();
+    return true;
+  }
+
+  /**
+   * Reports a job's state.
+   * @param {string} name - Job name
+   * @returns {Object} { name, when, state, next, lastRun, runs, missed, lastError }
+   */
+  status(name) {
+    const job = this.find(name);
+    return {
+      name: job.name,
+      when: job.spec,
+      state: job.state,
+      next: ['scheduled', 'paused'].includes(job.state) && job.next !== null ? new Date(job.next) : null,
+      lastRun: job.lastRun !== null ? new Date(job.lastRun) : null,
+      runs: job.runs,
+      missed: job.missed,
+      lastError: job.lastError
+    };
+  }
+
+  list() {
+    return [...this.jobs.keys()].map(name => this.status(name));
+  }
+
+  /**
+   * Waits until no job is scheduled or running and no timer set through setTimer is pending.
+   * @returns {Promise<void>}
+   */
+  idle() {
+    return new Promise(resolve => {
+      this.idleWaiters.push(resolve);
+      this.checkIdle();
+    });
+  }
+
+  checkIdle() {
+    if (this.timers.size > 0 || [...this.jobs.values()].some(job => job.state === 'scheduled' || job.state === 'running')) {
+      return;
+    }
+    this.idleWaiters.splice(0).forEach(resolve => resolve());
+  }
+}
+
+module.exports = { Scheduler, RealClock, VirtualClock, parseDuration, parseCron, nextCronTime, parseSchedule };
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// DER header of an Ed25519 SubjectPublicKeyInfo, followed by the 32-byte raw key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Generates a key pair for the keygen action.
+ * @param {string} algo - Key algorithm; only ed25519 is supported
+ * @returns {Object} Key pair with the raw public key as hex
+ * @throws {Error} If the algorithm is not supported
+ */
+function generateKeyPair(algo) {
+  if (algo.toLowerCase() !== 'ed25519') {
+    throw new Error(`Unsupported key algorithm: ${algo}`);
+  }
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(ED25519_SPKI_PREFIX.length);
+  return { type: 'KeyPair', algo: 'ed25519', publicKey: raw.toString('hex'), privateKey };
+}
+
+/**
+ * Resolves an agent to its raw Ed25519 public key.
+ * @param {Object|string} agent - Key pair from keygen, or a public key as hex
+ * @returns {string} Lowercase hex public key
+ * @throws {Error} If the agent does not carry a public key
+ */
+function publicKeyOf(agent) {
+  const key = agent && agent.type === 'KeyPair' ? agent.publicKey : agent;
+  if (typeof key !== 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error(`Expected an Ed25519 public key, got ${typeof key === 'string' ? key : typeof key}`);
+  }
+  return key.replace(/^0x/, '').toLowerCase();
+}
+
+/**
+ * Canonically encodes what a ritual seal signs: the ritual, its oath and its agents in bind order.
+ * @param {string} name - Ritual name
+ * @param {string} oath - Oath text
+ * @param {Array<Object|string>} agents - Bound agents
+ * @returns {Buffer} Message to sign
+ */
+function encodeRitual(name, oath, agents) {
+  return Buffer.from(JSON.stringify({ ritual: name, oath, agents: agents.map(publicKeyOf) }), 'utf8');
+}
+
+/**
+ * Seals a ritual with the signature of every bound agent.
+ * @param {string} name - Ritual name
+ * @param {string} oath - Oath text
+ * @param {Array<Object>} keyPairs - Key pairs from keygen, in bind order
+ * @returns {string} Seal as 0x-prefixed hex, one signature per agent
+ */
+function signRitual(name, oath, keyPairs) {
+  const message = encodeRitual(name, oath, keyPairs);
+  const signatures = keyPairs.map(keyPair => {
+    if (!keyPair || keyPair.type !== 'KeyPair') {
+      throw new Error('Sealing a ritual needs the key pair of every agent');
+    }
+    return crypto.sign(null, message, keyPair.privateKey);
+  });
+  return `0x${Buffer.concat(signatures).toString('hex')}`;
+}
+
+/**
+ * Checks that a seal carries a valid signature from every bound agent.
+ * @param {string} name - Ritual name
+ * @param {string} oath - Oath text
+ * @param {Array<Object|string>} agents - Bound agents, in bind order
+ * @param {string} seal - Seal as hex
+ * @returns {boolean} Whether the seal verifies
+ */
+function verifyRitualSeal(name, oath, agents, seal) {
+  if (typeof seal !== 'string' || !/^(0x)?[0-9a-fA-F]*$/.test(seal)) {
+    return false;
+  }
+  const signatures = Buffer.from(seal.replace(/^0x/, ''), 'hex');
+  if (signatures.length !== agents.length * SIGNATURE_LENGTH) {
+    return false;
+  }
+  const message = encodeRitual(name, oath, agents);
+  return agents.every((agent, index) => {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyOf(agent), 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    const signature = signatures.subarray(index * SIGNATURE_LENGTH, (index + 1) * SIGNATURE_LENGTH);
+    return crypto.verify(null, message, key, signature);
+  });
+}
+
+/**
+ * Canonically encodes what a ballot signs. The proposal id keeps a ballot from being replayed
+ * on another proposal, even one with the same name.
+ * @param {string} proposal - Proposal name
+ * @param {string} id - Proposal id
+ * @param {Object|string} voter - Voter's key pair or public key
+ * @param {string} choice - yes, no or abstain
+ * @returns {Buffer} Message to sign
+ */
+function encodeBallot(proposal, id, voter, choice) {
+  return Buffer.from(JSON.stringify({ proposal, id, voter: publicKeyOf(voter), choice }), 'utf8');
+}
+
+/**
+ * Signs a ballot with the voter's key.
+ * @param {string} proposal - Proposal name
+ * @param {string} id - Proposal id
+ * @param {Object} keyPair - Voter's key pair from keygen
+ * @param {string} choice - yes, no or abstain
+ * @returns {string} Signature as 0x-prefixed hex
+ * @throws {Error} If no key pair is given
+ */
+function signBallot(proposal, id, keyPair, choice) {
+  if (!keyPair || keyPair.type !== 'KeyPair') {
+    throw new Error('Signing a ballot needs the key pair of the voter');
+  }
+  return `0x${crypto.sign(null, encodeBallot(proposal, id, keyPair, choice), keyPair.privateKey).toString('hex')}`;
+}
+
+/**
+ * Checks a ballot's signature against the voter's public key.
+ * @param {string} proposal - Proposal name
+ * @param {string} id - Proposal id
+ * @param {Object|string} voter - Voter's key pair or public key
+ * @param {string} choice - yes, no or abstain
+ * @param {string} signature - Signature as hex
+ * @returns {boolean} Whether the signature verifies
+ */
+function verifyBallot(proposal, id, voter, choice, signature) {
+  if (typeof signature !== 'string' || !/^(0x)?[0-9a-fA-F]*$/.test(signature)) {
+    return false;
+  }
+  const bytes = Buffer.from(signature.replace(/^0x/, ''), 'hex');
+  if (bytes.length !== SIGNATURE_LENGTH) {
+    return false;
+  }
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyOf(voter), 'hex')]),
+    format: 'der',
+    type: 'spki'
+  });
+  return crypto.verify(null, encodeBallot(proposal, id, voter, choice), key, bytes);
+}
+
+module.exports = {
+  generateKeyPair, publicKeyOf, encodeRitual, signRitual, verifyRitualSeal, encodeBallot, signBallot, verifyBallot
+};
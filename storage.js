@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Values are stored as JSON; times are tagged so they come back as Date objects
+function encode(value) {
+  return JSON.stringify(value, function (key, item) {
+    if (this[key] instanceof Date) {
+      return { $time: this[key].toISOString() };
+    }
+    if (typeof item === 'function') {
+      throw new Error('Cannot store functions, jobs or other executable values');
+    }
+    return item;
+  });
+}
+
+function decode(text) {
+  return JSON.parse(text, (key, item) => (item && typeof item.$time === 'string' ? new Date(item.$time) : item));
+}
+
+/**
+ * Keeps state in process memory; nothing survives a restart.
+ */
+class MemoryStorage {
+  constructor() {
+    this.values = new Map(); // Encoded values by key
+    this.graves = []; // Tombstones of forgotten keys, oldest first
+  }
+
+  /**
+   * Reads a value.
+   * @param {string} key - Storage key
+   * @returns {Promise<any>} Stored value, or null if the key is not set
+   */
+  async get(key) {
+    return this.values.has(key) ? decode(this.values.get(key)) : null;
+  }
+
+  /**
+   * Writes a value, replacing any previous one.
+   * @param {string} key - Storage key
+   * @param {any} value - JSON-compatible value
+   */
+  async set(key, value) {
+    this.values.set(key, encode(value));
+  }
+
+  /**
+   * Deletes a value.
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} True if the key was set
+   */
+  async delete(key) {
+    return this.values.delete(key);
+  }
+
+  /**
+   * Lists the stored keys.
+   * @returns {Promise<string[]>} Keys in insertion order
+   */
+  async keys() {
+    return [...this.values.keys()];
+  }
+
+  /**
+   * Records why a key was forgotten.
+   * @param {Object} tombstone - { key, reason, at }
+   */
+  async addTombstone(tombstone) {
+    this.graves.push({ ...tombstone });
+  }
+
+  /**
+   * Lists the tombstone log.
+   * @returns {Promise<Object[]>} Tombstones, oldest first
+   */
+  async tombstones() {
+    return this.graves.map(tombstone => ({ ...tombstone }));
+  }
+}
+
+/**
+ * Keeps state in a JSON file that is rewritten on every change.
+ */
+class JsonFileStorage extends MemoryStorage {
+  constructor(file) {
+    super();
+    this.file = path.resolve(file);
+    this.loaded = null; // Pending or finished load of the file
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        let text;
+        try {
+          text = await fs.readFile(this.file, 'utf8');
+        } catch (e) {
+          if (e.code === 'ENOENT') {
+            return;
+          }
+          throw e;
+        }
+        const data = JSON.parse(text);
+        this.values = new Map(Object.entries(data.values || {}).map(([key, value]) => [key, JSON.stringify(value)]));
+        this.graves = data.tombstones || [];
+      })();
+    }
+    await this.loaded;
+  }
+
+  async save() {
+    const values = Object.fromEntries([...this.values].map(([key, value]) => [key, JSON.parse(value)]));
+    const data = { values, tombstones: this.graves };
+    // Write to a sibling file first so a crash never leaves half a state file behind
+    const temp = `${this.file}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data, null, 2));
+    await fs.rename(temp, this.file);
+  }
+
+  async get(key) {
+    await this.load();
+    return super.get(key);
+  }
+
+  async set(key, value) {
+    await this.load();
+    await super.set(key, value);
+    await this.save();
+  }
+
+  async delete(key) {
+    await this.load();
+    const existed = await super.delete(key);
+    if (existed) {
+      await this.save();
+    }
+    return existed;
+  }
+
+  async keys() {
+    await this.load();
+    return super.keys();
+  }
+
+  async addTombstone(tombstone) {
+    await this.load();
+    await super.addTombstone(tombstone);
+    await this.save();
+  }
+
+  async tombstones() {
+    await this.load();
+    return super.tombstones();
+  }
+}
+
+/**
+ * Opens a SQLite database with Node's built-in node:sqlite, available without a flag from
+ * Node 22.13, or else with the better-sqlite3 package if it is installed. Both offer the same
+ * synchronous exec and prepare calls.
+ * @param {string} file - Database file
+ * @returns {Object} Open database
+ * @throws {Error} If neither is available
+ */
+function openSqlite(file) {
+  const [major, minor] = process.versions.node.split('.').map(Number);
+  if (major > 22 || (major === 22 && minor >= 13)) {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(file);
+  }
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') {
+      throw e;
+    }
+    throw new Error(`SQLite storage needs Node 22.13 or later, or the better-sqlite3 package; this is Node ${process.versions.node}`);
+  }
+  return new Database(file);
+}
+
+/**
+ * Keeps state in a SQLite database file.
+ */
+class SqliteStorage {
+  constructor(file) {
+    this.db = openSqlite(path.resolve(file));
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS tombstones (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, key TEXT NOT NULL, reason TEXT NOT NULL, at TEXT NOT NULL
+      );
+    `);
+  }
+
+  async get(key) {
+    const row = this.db.prepare('SELECT value FROM kv WHERE key = ?').get(key);
+    return row ? decode(row.value) : null;
+  }
+
+  async set(key, value) {
+    this.db.prepare('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, encode(value));
+  }
+
+  async delete(key) {
+    return this.db.prepare('DELETE FROM kv WHERE key = ?').run(key).changes > 0;
+  }
+
+  async keys() {
+    return this.db.prepare('SELECT key FROM kv ORDER BY rowid').all().map(row => row.key);
+  }
+
+  async addTombstone(tombstone) {
+    this.db.prepare('INSERT INTO tombstones (key, reason, at) VALUES (?, ?, ?)')
+      .run(tombstone.key, tombstone.reason, tombstone.at);
+  }
+
+  async tombstones() {
+    return this.db.prepare('SELECT key, reason, at FROM tombstones ORDER BY id').all().map(row => ({ ...row }));
+  }
+}
+
+/**
+ * Creates a storage backend from a CLI-style spec.
+ * @param {string} spec - "memory", "json:<file>" or "sqlite:<file>"
+ * @returns {MemoryStorage|JsonFileStorage|SqliteStorage} Storage backend
+ * @throws {Error} If the spec names an unknown backend or lacks a file
+ */
+function createStorage(spec = 'memory') {
+  const [kind, ...rest] = spec.split(':');
+  const file = rest.join(':');
+  switch (kind) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'json':
+    case 'sqlite':
+      if (!file) {
+        throw new Error(`Storage ${kind} needs a file, as in ${kind}:state.${kind === 'json' ? 'json' : 'db'}`);
+      }
+      return kind === 'json' ? new JsonFileStorage(file) : new SqliteStorage(file);
+    default:
+      throw new Error(`Unknown storage backend ${kind}; expected memory, json:<file> or sqlite:<file>`);
+  }
+}
+
+module.exports = { MemoryStorage, JsonFileStorage, SqliteStorage, createStorage };
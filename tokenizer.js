@@ -24,9 +24,12 @@ class Tokenizer {
       'union', 'future', 'on_error', 'fixed', 'short', 'tracked', 'sacred', 'forever', 'when', 'args',
       'do', 'data', 'gas', 'life', 'expect', 'field', 'needed', 'schema', 'user', 'score', 'threshold',
       'voters', 'to', 'can', 'get', 'connect', 'on_message', 'on_event', 'needs', 'binds', 'enforce',
-      'changes', 'active', 'recall', 'returns', 'pattern', 'min', 'max', 'pick', 'is'
+      'changes', 'active', 'recall', 'returns', 'pattern', 'min', 'max', 'pick', 'is',
+      'in', 'break', 'continue', 'by', 'covenant', 'manifest', 'op',
+      'ask', 'where', 'enqueue', 'dequeue', 'consume', 'emit', 'with', 'unsubscribe'
     ]);
-    this.operators = new Set(['&&', '||', '==', '!=', '>', '<', '>=', '<=', '+', '-', '*', '/', '%', '!', '=', '=>', '..', '|']);
+    this.operators = new Set(['&&', '||', '==', '!=', '>', '<', '>=', '<=', '+', '-', '*', '/', '%', '!', '=', '=>', '..', '|',
+      '&', '^', '~', '@', '?']);
   }
 
   tokenize() {
@@ -74,7 +77,7 @@ class Tokenizer {
         continue;
       }
 
-      if ('{}[](),:;'.includes(char)) {
+      if ('{}[](),:;.'.includes(char)) {
         tokens.push(new Token('symbol', char, this.line, this.column));
         this.advance();
         continue;
@@ -152,6 +155,10 @@ class Tokenizer {
       return new Token('hex', value, this.line, startColumn);
     }
     while (this.pos < this.input.length && /[0-9.]/.test(this.input[this.pos])) {
+      // Stop before a range operator (`0..10`) or a second decimal point
+      if (this.input[this.pos] === '.' && (value.includes('.') || this.input[this.pos + 1] === '.')) {
+        break;
+      }
       value += this.input[this.pos];
       this.advance();
     }